@@ -28,6 +28,8 @@ function getSS_() {
 }
 
 // Canonical team names (must match DraftBoard + Teams tab values)
+// ✅ The Teams sheet is the source of truth; these constants are only the fallback
+//    when it's missing/empty (see loadTeamRegistry_).
 const CANON_TEAMS = [
   "Sir Krontzalot",
   "Exalted Evil",
@@ -42,18 +44,40 @@ const CANON_TEAMS = [
   "Free Agent",
 ];
 
+// Fallback team tab codes (also accepted as shorthand by normalizeTeam_)
+const TEAM_TABCODE_BY_CANON = {
+  "Sir Krontzalot": "SIR",
+  "Exalted Evil": "EXA",
+  "Tree Ninja Disc Golf": "TRE",
+  "The Abba Zabba": "THE",
+  "Ryan Morgan": "RYA",
+  "SPY Dyes": "SPY",
+  "Eddie Speidel": "EDD",
+  "Webb Webb Webb": "WEB",
+  "Hughes Moves": "HUG",
+  "Matthew Lopez": "MAT",
+};
+
 const MAX_ROSTER = 10;
 const FREE_AGENT = "Free Agent";
+const ON_WAIVERS = "On Waivers"; // Rosters Status for Free Agents dropped since the last waiver run
+const FREE_AGENT_ALIASES = ["FA", "FREE", "FREE AGENT", "FREE AGENTS"];
 
 // Sheets
 const SHEET_TRANSACTIONS = "Transactions";
 const SHEET_DRAFTBOARD = "DraftBoard";
 const SHEET_ROSTERS = "Rosters";
 const SHEET_WEBHOOKLOG = "WebhookLog";
+const SHEET_STANDINGS = "Standings";
 
 const ALERTS_SUBS_SHEET = "AlertSubscriptions";
 const SMS_LOG_SHEET = "SmsLog";
 const LINEUP_LOG_SHEET = "LineupRemindersLog";
+const TRADE_PROPOSALS_SHEET = "TradeProposals";
+const TEAM_MANAGERS_SHEET = "TeamManagers";
+const COMMISSIONERS_SHEET = "Commissioners";
+const SHEET_TEAMS = "Teams";
+const PROCESSED_REQUESTS_SHEET = "ProcessedRequests";
 
 // AlertSubscriptions headers (MUST match your sheet)
 const ALERTS_SUBS_HEADERS = [
@@ -92,6 +116,73 @@ const LINEUP_LOG_HEADERS = [
   "MetaJson",
 ];
 
+// FaabLedger headers. Remaining budget = season budget + SUM(Amount) for the Season/Team
+// (AWARD rows are negative; commissioners can add ADJUST rows by hand).
+const FAAB_LEDGER_SHEET = "FaabLedger";
+const FAAB_LEDGER_HEADERS = [
+  "Season",
+  "Team",
+  "CycleId",
+  "Date",
+  "Type",
+  "Amount",
+  "PlayerPDGA",
+  "PlayerName",
+  "Notes",
+];
+
+// Transactions headers (audit trail). SubmittedBy/GroupId/TransactionId/ReversesId are appended to
+// older sheets on first write. GroupId ties a SWAP's DROP+ADD or a trade's legs into one logical move;
+// a REVERSAL row points at the row it cancels via ReversesId (rebuildRosters skips the original).
+const TRANSACTIONS_HEADERS = [
+  "Date",
+  "Type",
+  "Team",
+  "Player PDGA #",
+  "Player Name",
+  "From Team",
+  "To Team",
+  "Notes",
+  "SubmittedBy",
+  "GroupId",
+  "TransactionId",
+  "ReversesId",
+];
+const TRANSACTIONS_QUERY_MAX = 200; // logical moves per query
+
+// TradeProposals headers
+const TRADE_PROPOSALS_HEADERS = [
+  "ProposalId",
+  "Status",
+  "TeamA",
+  "TeamB",
+  "LegsJson",
+  "Notes",
+  "ProposedBy",
+  "CreatedAt",
+  "ExpiresAt",
+  "RespondedBy",
+  "RespondedAt",
+  "ChannelId",
+  "MessageId",
+  "Error",
+  "LockOverride",
+];
+
+// Teams headers (Aliases = comma-separated extra names/codes; Active=FALSE hides a team from new activity)
+const TEAMS_HEADERS = ["TeamName", "TabCode", "Aliases", "Active"];
+
+// TeamManagers headers (one row per Discord user; a team may have co-managers)
+const TEAM_MANAGERS_HEADERS = ["DiscordUserId", "Team", "DisplayName", "UpdatedAt", "UpdatedBy"];
+
+// Commissioners headers (one row per Discord user; the bot and doPost both gate admin actions on this tab)
+const COMMISSIONERS_HEADERS = ["DiscordUserId", "DisplayName", "UpdatedAt", "UpdatedBy"];
+
+// ProcessedRequests headers (one row per bot requestId; ResponseJson is replayed on retries)
+const PROCESSED_REQUESTS_HEADERS = ["RequestId", "Action", "Team", "ProcessedAt", "ResponseJson", "Status"];
+const PROCESSED_REQUEST_CACHE_SECONDS = 6 * 60 * 60;
+const PROCESSED_REQUEST_MAX_JSON = 45000; // stay under the 50k-char cell limit
+
 // DGS / PDGA parsing + backfill controls
 const DGS_PDGA_PROFILE_NAME_CACHE_HOURS = 12;
 const DGS_NAME_BACKFILL_LIMIT = 250;
@@ -132,37 +223,6 @@ function newSmsBudget_() {
   return { sent: 0, max: SMS_MAX_SENDS_PER_INVOCATION };
 }
 
-function normalizeTeam_(t) {
-  const raw = String(t || "").trim();
-  if (!raw) return "";
-
-  const key = raw.toUpperCase();
-
-  for (const c of CANON_TEAMS) {
-    if (c.toUpperCase() === key) return c;
-  }
-
-  const shorthand = {
-    SIR: "Sir Krontzalot",
-    EXA: "Exalted Evil",
-    TRE: "Tree Ninja Disc Golf",
-    THE: "The Abba Zabba",
-    RYA: "Ryan Morgan",
-    SPY: "SPY Dyes",
-    EDD: "Eddie Speidel",
-    WEB: "Webb Webb Webb",
-    HUG: "Hughes Moves",
-    MAT: "Matthew Lopez",
-
-    FA: "Free Agent",
-    FREE: "Free Agent",
-    "FREE AGENT": "Free Agent",
-    "FREE AGENTS": "Free Agent",
-  };
-
-  return shorthand[key] || "";
-}
-
 function jsonResponse_(obj) {
   return ContentService.createTextOutput(JSON.stringify(obj)).setMimeType(
     ContentService.MimeType.JSON
@@ -208,6 +268,28 @@ function appendRows_(sh, rows) {
   sh.getRange(startRow, 1, rows.length, rows[0].length).setValues(rows);
 }
 
+// Pads positional rows in place so they cover columns appended by ensureHeaderColumn_
+function padRowsToWidth_(rows, width) {
+  for (const r of rows) while (r.length < width) r.push("");
+  return rows;
+}
+
+// 1-based column for header on row 1, appending it at the far right if missing
+function ensureHeaderColumn_(sh, headerName) {
+  const lastCol = Math.max(1, sh.getLastColumn());
+  const headers = sh
+    .getRange(1, 1, 1, lastCol)
+    .getValues()[0]
+    .map((h) => String(h || "").trim());
+
+  const existingIdx0 = headers.indexOf(headerName);
+  if (existingIdx0 >= 0) return existingIdx0 + 1;
+
+  const newColIdx1 = headers.length + 1;
+  sh.getRange(1, newColIdx1).setValue(headerName);
+  return newColIdx1;
+}
+
 function findColumnIndexByHeader_(headers, candidates, fallback1Based) {
   for (const c of candidates) {
     const idx0 = headers.indexOf(c);
@@ -360,6 +442,119 @@ function sendAlertTestSet_ToOnlyRegisteredDevice() {
   return { ok: true, cycleId, team, phone, results };
 }
 
+/***********************
+ * 1B) TEAM REGISTRY (Teams sheet -> canonical names, tab codes, aliases)
+ ***********************/
+
+// Memoized per execution; Apps Script starts every trigger/webhook with fresh globals
+let TEAM_REGISTRY_CACHE_ = null;
+
+function fallbackTeamRegistryRows_() {
+  return CANON_TEAMS.filter((t) => t !== FREE_AGENT).map((name) => ({
+    name,
+    tabCode: TEAM_TABCODE_BY_CANON[name] || "",
+    aliases: [],
+    active: true,
+  }));
+}
+
+function readTeamRegistryRows_() {
+  const ss = getSS_();
+  const sh = ss.getSheetByName(SHEET_TEAMS);
+  if (!sh || sh.getLastRow() < 2) return [];
+
+  const map = getHeaderIndexMap_(sh);
+  if (map["TeamName"] == null) return [];
+
+  const rows = sh.getRange(2, 1, sh.getLastRow() - 1, sh.getLastColumn()).getValues();
+  const out = [];
+  for (const r of rows) {
+    const name = String(r[map["TeamName"]] || "").trim();
+    if (!name || name.toUpperCase() === FREE_AGENT.toUpperCase()) continue;
+
+    const activeRaw = map["Active"] != null ? r[map["Active"]] : "";
+    out.push({
+      name,
+      tabCode: map["TabCode"] != null ? String(r[map["TabCode"]] || "").trim().toUpperCase() : "",
+      aliases:
+        map["Aliases"] != null
+          ? String(r[map["Aliases"]] || "")
+              .split(",")
+              .map((a) => a.trim())
+              .filter((a) => a)
+          : [],
+      active: String(activeRaw).trim() === "" ? true : coerceBool_(activeRaw),
+    });
+  }
+  return out;
+}
+
+/**
+ * Returns { teams: [{ name, tabCode, aliases, active }], byKey: Map<UPPER name|code|alias, name> }.
+ * Falls back to CANON_TEAMS / TEAM_TABCODE_BY_CANON when the Teams sheet is missing or empty.
+ */
+function loadTeamRegistry_() {
+  if (TEAM_REGISTRY_CACHE_) return TEAM_REGISTRY_CACHE_;
+
+  let teams = [];
+  try {
+    teams = readTeamRegistryRows_();
+  } catch (e) {
+    Logger.log("Teams sheet read failed, using fallback: " + (e && e.message ? e.message : e));
+  }
+  if (!teams.length) teams = fallbackTeamRegistryRows_();
+
+  const byKey = new Map();
+  for (const t of teams) {
+    for (const k of [t.name, t.tabCode, ...t.aliases]) {
+      const key = String(k || "").trim().toUpperCase();
+      if (key && !byKey.has(key)) byKey.set(key, t.name);
+    }
+  }
+  byKey.set(FREE_AGENT.toUpperCase(), FREE_AGENT);
+  for (const a of FREE_AGENT_ALIASES) byKey.set(a, FREE_AGENT);
+
+  TEAM_REGISTRY_CACHE_ = { teams, byKey };
+  return TEAM_REGISTRY_CACHE_;
+}
+
+function normalizeTeam_(t) {
+  const raw = String(t || "").trim();
+  if (!raw) return "";
+  return loadTeamRegistry_().byKey.get(raw.toUpperCase()) || "";
+}
+
+function teamTabCode_(canonTeam) {
+  const t = loadTeamRegistry_().teams.find((x) => x.name === canonTeam);
+  return (t && t.tabCode) || TEAM_TABCODE_BY_CANON[canonTeam] || "";
+}
+
+// ---- TEAMS_GET ----
+function handleTeamsGet_(data) {
+  const includeInactive = coerceBool_(data && data.includeInactive);
+  const teams = loadTeamRegistry_()
+    .teams.filter((t) => includeInactive || t.active)
+    .map((t) => ({ name: t.name, tabCode: t.tabCode, aliases: t.aliases, active: t.active }));
+  return { ok: true, teams };
+}
+
+/**
+ * Menu helper: writes the fallback team list into an empty Teams sheet.
+ */
+function seedTeamsSheet() {
+  const ss = getSS_();
+  const sh = mustGetOrCreateSheet_(ss, SHEET_TEAMS, TEAMS_HEADERS);
+  if (sh.getLastRow() >= 2) {
+    SpreadsheetApp.getUi().alert("Teams sheet already has rows — nothing changed.");
+    return;
+  }
+
+  const rows = fallbackTeamRegistryRows_().map((t) => [t.name, t.tabCode, "", true]);
+  sh.getRange(2, 1, rows.length, TEAMS_HEADERS.length).setValues(rows);
+  TEAM_REGISTRY_CACHE_ = null;
+  SpreadsheetApp.getUi().alert(`Seeded ${rows.length} teams.`);
+}
+
 /***********************
  * 2) ALERT SUBSCRIPTIONS + SMS (Twilio)
  ***********************/
@@ -795,7 +990,10 @@ function sendWaiverAwardAlerts_(ss, { cycleId, eventName, awardsByTeam, budget }
     const awards = awardsByTeam.get(s.team) || [];
     if (!awards.length) continue;
 
-    const list = awards.slice(0, 6).map((a) => a.name).join(", ");
+    const list = awards
+      .slice(0, 6)
+      .map((a) => (a.bid != null ? `${a.name} ($${a.bid})` : a.name))
+      .join(", ");
     const more = awards.length > 6 ? ` (+${awards.length - 6} more)` : "";
 
     const msg = `FDG Waivers: You have been awarded player(s) in the Waiver channel for ${eventName}: ${list}${more}.`;
@@ -1265,7 +1463,7 @@ function updateAllEvents() {
   if (!cfg) throw new Error('Config sheet not found. Create a sheet named "Config".');
 
   const values = cfg.getDataRange().getValues();
-  if (values.length < 2) return;
+  if (values.length < 2) return { results: [] };
 
   const results = [];
 
@@ -1309,6 +1507,9 @@ function updateAllEvents() {
     cfg.getRange(2, 4, results.length, 3).clearContent();
     cfg.getRange(2, 4, results.length, 3).setValues(results);
   }
+
+  // Same rows as Config D:F, for ADMIN_UPDATE_EVENTS
+  return { results: results.map((r) => ({ item: r[1], result: r[2] })) };
 }
 
 /***********************
@@ -1463,19 +1664,155 @@ function normalizePlayerName_(name) {
  * 6) ROSTERS REBUILD
  ***********************/
 
+/**
+ * 0-based Transactions column indexes by header (-1 when missing). Date falls back to column A.
+ */
+function transactionHeaderIndex_(hdr) {
+  const at = (h) => hdr.indexOf(h);
+  return {
+    date: Math.max(0, at("Date")),
+    type: at("Type"),
+    team: at("Team"),
+    pdga: at("Player PDGA #"),
+    name: at("Player Name"),
+    from: at("From Team"),
+    to: at("To Team"),
+    notes: at("Notes"),
+    submittedBy: at("SubmittedBy"),
+    groupId: at("GroupId"),
+    id: at("TransactionId"),
+    reverses: at("ReversesId"),
+  };
+}
+
+function newTransactionGroupId_(prefix) {
+  return `${prefix}-${Utilities.getUuid().replace(/-/g, "").slice(0, 10).toUpperCase()}`;
+}
+
+/**
+ * Adds the TransactionId column if missing and gives every typed row without one a stable id.
+ * Older rows are backfilled in place so reversals can reference them.
+ */
+function ensureTransactionIds_(sh) {
+  const col = ensureHeaderColumn_(sh, "TransactionId");
+  const last = sh.getLastRow();
+  if (last < 2) return;
+
+  const hdr = sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0].map((h) => String(h || "").trim());
+  const tType = hdr.indexOf("Type");
+  if (tType < 0) return;
+
+  const types = sh.getRange(2, tType + 1, last - 1, 1).getValues();
+  const ids = sh.getRange(2, col, last - 1, 1).getValues();
+  let changed = false;
+  for (let i = 0; i < ids.length; i++) {
+    if (String(ids[i][0] || "").trim() || !String(types[i][0] || "").trim()) continue;
+    ids[i][0] = newTransactionGroupId_("TX");
+    changed = true;
+  }
+  if (changed) sh.getRange(2, col, ids.length, 1).setValues(ids);
+}
+
+/**
+ * Appends Transactions rows by header name (adds SubmittedBy/GroupId/TransactionId/ReversesId
+ * columns if missing). Each row gets a new TransactionId.
+ * entries: [{ date, type, team, pdga, name, fromTeam, toTeam, notes, submittedBy, groupId, reversesId }]
+ * Returns the TransactionIds in entry order.
+ */
+function appendTransactionRows_(sh, entries) {
+  if (!entries || !entries.length) return [];
+  ensureHeaderColumn_(sh, "SubmittedBy");
+  ensureHeaderColumn_(sh, "GroupId");
+  ensureTransactionIds_(sh);
+  ensureHeaderColumn_(sh, "ReversesId");
+
+  const hdr = sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0].map((h) => String(h || "").trim());
+  const c = transactionHeaderIndex_(hdr);
+
+  const rows = entries.map((e) => {
+    const row = new Array(hdr.length).fill("");
+    const set = (i, v) => {
+      if (i >= 0) row[i] = v == null ? "" : v;
+    };
+    set(c.date, e.date || new Date());
+    set(c.type, e.type);
+    set(c.team, e.team);
+    set(c.pdga, e.pdga);
+    set(c.name, e.name);
+    set(c.from, e.fromTeam);
+    set(c.to, e.toTeam);
+    set(c.notes, e.notes || "");
+    set(c.submittedBy, e.submittedBy || "");
+    set(c.groupId, e.groupId || "");
+    set(c.id, newTransactionGroupId_("TX"));
+    set(c.reverses, e.reversesId || "");
+    return row;
+  });
+
+  appendRows_(sh, rows);
+  return rows.map((r) => r[c.id]);
+}
+
+/**
+ * TransactionIds cancelled by REVERSAL rows (rebuildRosters replays around them).
+ */
+function reversedTransactionIds_(vals, c) {
+  const out = new Set();
+  if (c.type < 0 || c.reverses < 0) return out;
+  for (let i = 1; i < vals.length; i++) {
+    if (String(vals[i][c.type] || "").trim().toUpperCase() !== "REVERSAL") continue;
+    const id = String(vals[i][c.reverses] || "").trim();
+    if (id) out.add(id);
+  }
+  return out;
+}
+
 function rebuildRosters() {
   const ss = getSS_();
+  const current = replayRosters_(ss);
+  const lastRun = lastWaiverRunAt_(ss);
+
+  let rosterSheet = ss.getSheetByName(SHEET_ROSTERS);
+  if (!rosterSheet) rosterSheet = ss.insertSheet(SHEET_ROSTERS);
+  rosterSheet.clearContents();
+
+  const out = [["Team", "Player PDGA #", "Player Name", "Division", "Source", "Last Updated", "Status"]];
+  const now = new Date();
+
+  for (const [pdga, info] of current.entries()) {
+    const team = normalizeTeam_(info.team);
+    // Dropped since the last waiver run: claimable only through /waivers until the next run
+    const onWaivers =
+      team === FREE_AGENT && info.droppedAt && (!lastRun || info.droppedAt.getTime() > lastRun.getTime());
+    out.push([team, pdga, info.name, info.div, info.source, now, onWaivers ? ON_WAIVERS : ""]);
+  }
+
+  out.splice(
+    1,
+    out.length - 1,
+    ...out.slice(1).sort((a, b) => (a[0] + " " + a[2]).localeCompare(b[0] + " " + b[2]))
+  );
+
+  rosterSheet.getRange(1, 1, out.length, out[0].length).setValues(out);
 
+  const countByTeam = {};
+  for (const r of out.slice(1)) {
+    if (r[0] && r[0] !== FREE_AGENT) countByTeam[r[0]] = (countByTeam[r[0]] || 0) + 1;
+  }
+  return { playerCount: out.length - 1, countByTeam };
+}
+
+/**
+ * DraftBoard + Transactions replay -> Map(pdga -> { team, name, div, source }). Rows cancelled by a
+ * REVERSAL (plus any ids in extraSkipIds, used for reversal previews) are skipped.
+ */
+function replayRosters_(ss, extraSkipIds) {
   const draft = ss.getSheetByName(SHEET_DRAFTBOARD);
   const tx = ss.getSheetByName(SHEET_TRANSACTIONS);
-  let rosterSheet = ss.getSheetByName(SHEET_ROSTERS);
 
   if (!draft) throw new Error("Missing sheet: DraftBoard");
   if (!tx) throw new Error("Missing sheet: Transactions");
 
-  if (!rosterSheet) rosterSheet = ss.insertSheet(SHEET_ROSTERS);
-  rosterSheet.clearContents();
-
   const mpo = ss.getSheetByName("MPO");
   const fpo = ss.getSheetByName("FPO");
   if (!mpo || !fpo) throw new Error("Missing MPO or FPO sheet");
@@ -1549,20 +1886,26 @@ function rebuildRosters() {
 
   const tVals = tx.getDataRange().getValues();
   if (tVals.length >= 2) {
-    const tHdr = tVals[0].map((h) => String(h).trim());
+    const tCols = transactionHeaderIndex_(tVals[0].map((h) => String(h).trim()));
 
-    const tType = tHdr.indexOf("Type");
-    const tTeam = tHdr.indexOf("Team");
-    const tPdga = tHdr.indexOf("Player PDGA #");
-    const tName = tHdr.indexOf("Player Name");
-    const tFrom = tHdr.indexOf("From Team");
-    const tTo = tHdr.indexOf("To Team");
+    const tType = tCols.type;
+    const tTeam = tCols.team;
+    const tPdga = tCols.pdga;
+    const tName = tCols.name;
+    const tFrom = tCols.from;
+    const tTo = tCols.to;
+    const tId = tCols.id;
 
     if (tType < 0 || tTeam < 0 || tPdga < 0 || tTo < 0) {
       throw new Error("Transactions must include headers: Type, Team, Player PDGA #, To Team (Player Name recommended)");
     }
 
+    const skipIds = reversedTransactionIds_(tVals, tCols);
+    for (const id of extraSkipIds || []) skipIds.add(id);
+
     for (let i = 1; i < tVals.length; i++) {
+      if (tId >= 0 && skipIds.has(String(tVals[i][tId] || "").trim())) continue;
+
       const type = String(tVals[i][tType] || "").trim().toUpperCase();
       const team = normalizeTeam_(String(tVals[i][tTeam] || "").trim());
       let pdga = String(tVals[i][tPdga] || "").trim();
@@ -1577,6 +1920,8 @@ function rebuildRosters() {
 
       if (!name) name = nameFromPdga_(pdga);
       const cur = current.get(pdga);
+      const rawDate = tVals[i][tCols.date];
+      const at = rawDate instanceof Date ? rawDate : new Date(rawDate);
 
       if (type === "ADD") {
         const target = to || team;
@@ -1597,9 +1942,16 @@ function rebuildRosters() {
             name: cur.name || name,
             div: cur.div || "",
             source: "DROP",
+            droppedAt: isNaN(at.getTime()) ? null : at,
           });
         } else if (!cur) {
-          current.set(pdga, { team: FREE_AGENT, name, div: "", source: "DROP" });
+          current.set(pdga, {
+            team: FREE_AGENT,
+            name,
+            div: "",
+            source: "DROP",
+            droppedAt: isNaN(at.getTime()) ? null : at,
+          });
         }
       } else if (type === "TRADE") {
         const target = to;
@@ -1615,20 +1967,7 @@ function rebuildRosters() {
     }
   }
 
-  const out = [["Team", "Player PDGA #", "Player Name", "Division", "Source", "Last Updated"]];
-  const now = new Date();
-
-  for (const [pdga, info] of current.entries()) {
-    out.push([normalizeTeam_(info.team), pdga, info.name, info.div, info.source, now]);
-  }
-
-  out.splice(
-    1,
-    out.length - 1,
-    ...out.slice(1).sort((a, b) => (a[0] + " " + a[2]).localeCompare(b[0] + " " + b[2]))
-  );
-
-  rosterSheet.getRange(1, 1, out.length, out[0].length).setValues(out);
+  return current;
 }
 
 /***********************
@@ -1639,110 +1978,499 @@ function getOwnershipStateFromRosters_(ss) {
   const roster = ss.getSheetByName(SHEET_ROSTERS);
   const ownerByPdga = new Map();
   const countByTeam = new Map();
+  const rowsByTeam = new Map(); // team -> [{ pdga, name, division, source }]
+  const onWaivers = new Set(); // pdga (Free Agents dropped since the last waiver run)
 
-  if (!roster) return { ownerByPdga, countByTeam };
+  if (!roster) return { ownerByPdga, countByTeam, rowsByTeam, onWaivers };
 
   const vals = roster.getDataRange().getValues();
-  if (vals.length < 2) return { ownerByPdga, countByTeam };
+  if (vals.length < 2) return { ownerByPdga, countByTeam, rowsByTeam, onWaivers };
 
   const hdr = vals[0].map((h) => String(h).trim());
   const iTeam = hdr.indexOf("Team");
   const iPdga = hdr.indexOf("Player PDGA #");
+  const iName = hdr.indexOf("Player Name");
+  const iDiv = hdr.indexOf("Division");
+  const iSource = hdr.indexOf("Source");
+  const iStatus = hdr.indexOf("Status");
 
-  if (iTeam < 0 || iPdga < 0) return { ownerByPdga, countByTeam };
+  if (iTeam < 0 || iPdga < 0) return { ownerByPdga, countByTeam, rowsByTeam, onWaivers };
 
   for (let r = 1; r < vals.length; r++) {
     const team = normalizeTeam_(String(vals[r][iTeam] || "").trim());
     const pdga = String(vals[r][iPdga] || "").trim();
     if (!team || !pdga) continue;
 
+    if (iStatus >= 0 && String(vals[r][iStatus] || "").trim() === ON_WAIVERS) onWaivers.add(pdga);
     ownerByPdga.set(pdga, team);
     countByTeam.set(team, (countByTeam.get(team) || 0) + 1);
+
+    if (!rowsByTeam.has(team)) rowsByTeam.set(team, []);
+    rowsByTeam.get(team).push({
+      pdga,
+      name: iName >= 0 ? String(vals[r][iName] || "").trim() : "",
+      division: iDiv >= 0 ? String(vals[r][iDiv] || "").trim() : "",
+      source: iSource >= 0 ? String(vals[r][iSource] || "").trim() : "",
+    });
   }
 
-  return { ownerByPdga, countByTeam };
+  return { ownerByPdga, countByTeam, rowsByTeam, onWaivers };
 }
 
 /***********************
- * 8) TRANSACTION VALIDATION
+ * 7B) TEAM MANAGERS (Discord user -> team)
+ *
+ * Every team-scoped write from the bot must come from a manager of that team.
+ * Populate with /managers set before enabling the bot for a league.
  ***********************/
 
-function validateTransaction_(ss, data) {
-  const errors = [];
-
-  const type = String(data.type || "").trim().toUpperCase();
-  const team = normalizeTeam_(data.team);
+function getTeamManagersSheet_(ss) {
+  return mustGetOrCreateSheet_(ss, TEAM_MANAGERS_SHEET, TEAM_MANAGERS_HEADERS);
+}
 
-  const dropPdga = String(data.dropPdga || "").trim();
-  const dropName = String(data.dropName || "").trim();
-  const addPdga = String(data.addPdga || "").trim();
-  const addName = String(data.addName || "").trim();
+/**
+ * Returns Map discordUserId -> { team, displayName }
+ */
+function loadTeamManagers_(ss) {
+  const sh = getTeamManagersSheet_(ss);
+  const out = new Map();
+  const lastRow = sh.getLastRow();
+  if (lastRow < 2) return out;
 
-  const pdga = String(data.pdga || "").trim();
-  const name = String(data.name || "").trim();
+  const map = getHeaderIndexMap_(sh);
+  const rows = sh.getRange(2, 1, lastRow - 1, sh.getLastColumn()).getValues();
+  for (const r of rows) {
+    const id = String(r[map["DiscordUserId"]] || "").trim();
+    const team = normalizeTeam_(r[map["Team"]]);
+    if (!id || !team || team === FREE_AGENT) continue;
+    out.set(id, { team, displayName: String(r[map["DisplayName"]] || "").trim() });
+  }
+  return out;
+}
 
-  const fromTeam = normalizeTeam_(data.fromTeam);
-  const toTeam = normalizeTeam_(data.toTeam);
+/**
+ * Returns "" when userId manages team, otherwise a user-facing error.
+ */
+function checkManagesTeam_(managers, userId, team) {
+  const id = String(userId || "").trim();
+  const t = normalizeTeam_(team);
+  if (!id) return "Missing submittedBy (Discord user id).";
+  if (!t) return `Unknown team: ${team || ""}`;
 
-  if (!type) errors.push("Missing field: type");
-  if (!team) errors.push("Missing field: team");
+  const m = managers.get(id);
+  if (!m) return "You aren't linked to a team. Ask the commissioner to run /managers set.";
+  if (m.team !== t) return `You manage ${m.team}, not ${t}.`;
+  return "";
+}
 
-  const allowed = new Set(["ADD", "DROP", "TRADE", "SWAP"]);
-  if (type && !allowed.has(type)) {
-    errors.push(`Unknown transaction type: ${type}. Allowed: ADD, DROP, TRADE, SWAP.`);
-    return { ok: false, errors, details: { type, team, fromTeam, toTeam } };
+/**
+ * Ownership gate for doPost. Returns "" (allowed) or an error message.
+ * Trade proposal responses are checked inside handleTradeProposalRespond_ (teams live on the proposal).
+ */
+function checkTeamOwnershipForRequest_(ss, data) {
+  const action = String(data.action || "").trim();
+
+  let userId = "";
+  let team = "";
+  if (!action) {
+    userId = data.submittedBy;
+    team = data.team;
+  } else if (["WAIVER_SUBMIT", "WAIVER_GET", "WAIVER_CANCEL", "LINEUP_SUBMIT", "ALERTS_SET"].includes(action)) {
+    userId = data.submittedBy;
+    team = data.team;
+  } else if (action === "TRADE_PROPOSE") {
+    userId = data.proposedBy;
+    team = data.teamA;
+  } else {
+    return "";
   }
 
-  const { ownerByPdga, countByTeam } = getOwnershipStateFromRosters_(ss);
+  return checkManagesTeam_(loadTeamManagers_(ss), userId, team);
+}
 
-  if (type === "SWAP") {
-    if (!dropPdga) errors.push("SWAP requires dropPdga.");
-    if (!dropName) errors.push("SWAP requires dropName.");
-    if (!addPdga) errors.push("SWAP requires addPdga.");
-    if (!addName) errors.push("SWAP requires addName.");
+// ---- MANAGERS_GET ----
+function handleManagersGet_(ss) {
+  const managers = Array.from(loadTeamManagers_(ss).entries())
+    .map(([discordUserId, m]) => ({ discordUserId, team: m.team, displayName: m.displayName }))
+    .sort((a, b) => a.team.localeCompare(b.team));
+  return { ok: true, managers };
+}
 
-    if (dropPdga && addPdga && dropPdga === addPdga) {
-      errors.push("SWAP rejected: drop player and add player cannot be the same PDGA.");
-    }
+// ---- MANAGERS_SET ----
+function handleManagersSet_(ss, data) {
+  const id = String(data.discordUserId || "").trim();
+  const team = normalizeTeam_(data.team);
+  if (!id) return { ok: false, error: "Missing discordUserId" };
+  if (!team || team === FREE_AGENT) return { ok: false, error: `Unknown team: ${data.team || ""}` };
 
-    const rosterCount = countByTeam.get(team) || 0;
-    if (rosterCount > MAX_ROSTER) {
-      errors.push(`SWAP rejected: ${team} is over roster cap (${rosterCount}/${MAX_ROSTER}). Fix roster first.`);
-    }
+  const sh = getTeamManagersSheet_(ss);
+  const map = getHeaderIndexMap_(sh);
+  const lastRow = sh.getLastRow();
 
-    const dropOwner = ownerByPdga.get(dropPdga) || "";
-    if (!dropOwner) {
-      errors.push(`SWAP rejected: drop player ${dropName} (${dropPdga}) is not currently owned by any team.`);
-    } else if (normalizeTeam_(dropOwner) !== normalizeTeam_(team)) {
-      errors.push(`SWAP rejected: ${team} does not own ${dropName} (${dropPdga}). Current owner: ${dropOwner}.`);
-    }
+  const ids = lastRow >= 2 ? sh.getRange(2, map["DiscordUserId"] + 1, lastRow - 1, 1).getValues() : [];
+  const idx = ids.findIndex((r) => String(r[0] || "").trim() === id);
+  const previousTeam = idx >= 0 ? normalizeTeam_(sh.getRange(2 + idx, map["Team"] + 1).getValue()) : "";
 
-    const addOwner = ownerByPdga.get(addPdga) || "";
-    const addIsFreeAgent = !addOwner || normalizeTeam_(addOwner) === FREE_AGENT;
-    if (!addIsFreeAgent) {
-      errors.push(`SWAP rejected: add player ${addName} (${addPdga}) is not a Free Agent. Current owner: ${addOwner}.`);
-    }
+  const row = new Array(sh.getLastColumn()).fill("");
+  row[map["DiscordUserId"]] = id;
+  row[map["Team"]] = team;
+  row[map["DisplayName"]] = String(data.displayName || "").trim();
+  row[map["UpdatedAt"]] = new Date();
+  row[map["UpdatedBy"]] = String(data.updatedBy || "").trim();
 
-    return {
-      ok: errors.length === 0,
-      errors,
-      details: {
-        type,
-        team,
-        dropPdga,
-        dropName,
-        addPdga,
-        addName,
+  if (idx >= 0) sh.getRange(2 + idx, 1, 1, row.length).setValues([row]);
+  else sh.appendRow(row);
+
+  return { ok: true, discordUserId: id, team, previousTeam, created: idx < 0 };
+}
+
+// ---- MANAGERS_REMOVE ----
+function handleManagersRemove_(ss, data) {
+  const id = String(data.discordUserId || "").trim();
+  if (!id) return { ok: false, error: "Missing discordUserId" };
+
+  const sh = getTeamManagersSheet_(ss);
+  const map = getHeaderIndexMap_(sh);
+  const lastRow = sh.getLastRow();
+  if (lastRow < 2) return { ok: true, removed: false };
+
+  const rows = sh.getRange(2, 1, lastRow - 1, sh.getLastColumn()).getValues();
+  for (let i = rows.length - 1; i >= 0; i--) {
+    if (String(rows[i][map["DiscordUserId"]] || "").trim() !== id) continue;
+    const team = normalizeTeam_(rows[i][map["Team"]]);
+    sh.deleteRow(2 + i);
+    return { ok: true, removed: true, discordUserId: id, team };
+  }
+  return { ok: true, removed: false, discordUserId: id };
+}
+
+/***********************
+ * 7C) COMMISSIONERS (admin actions)
+ *
+ * The Commissioners tab is the one commissioner list: the bot caches it (COMMISSIONERS_GET)
+ * to gate admin commands, and doPost re-checks the acting Discord user against it.
+ * Add the first commissioner's Discord user id to the tab by hand; after that use /commissioners.
+ * Scheduled jobs send actor "system:<job>" — only the bot holds TX_SECRET, so those are trusted.
+ ***********************/
+
+const ADMIN_ACTIONS = [
+  "WAIVER_RUN",
+  "MANAGERS_SET",
+  "MANAGERS_REMOVE",
+  "COMMISSIONERS_SET",
+  "COMMISSIONERS_REMOVE",
+  "ADMIN_REBUILD_ROSTERS",
+  "ADMIN_UPDATE_EVENTS",
+  "ADMIN_RUN_SCORING",
+  "ADMIN_LOCK_LINEUPS",
+  "ADMIN_FINALIZE_LINEUPS",
+  "ADMIN_RESET_TEAM_LOCK",
+  "TRANSACTION_REVERSE",
+];
+
+function getCommissionersSheet_(ss) {
+  return mustGetOrCreateSheet_(ss, COMMISSIONERS_SHEET, COMMISSIONERS_HEADERS);
+}
+
+/**
+ * Returns Map discordUserId -> { displayName }
+ */
+function loadCommissioners_(ss) {
+  const sh = getCommissionersSheet_(ss);
+  const out = new Map();
+  const lastRow = sh.getLastRow();
+  if (lastRow < 2) return out;
+
+  const map = getHeaderIndexMap_(sh);
+  const rows = sh.getRange(2, 1, lastRow - 1, sh.getLastColumn()).getValues();
+  for (const r of rows) {
+    const id = String(r[map["DiscordUserId"]] || "").trim();
+    if (id) out.set(id, { displayName: String(r[map["DisplayName"]] || "").trim() });
+  }
+  return out;
+}
+
+function loadCommissionerIds_(ss) {
+  return new Set(loadCommissioners_(ss).keys());
+}
+
+// ---- COMMISSIONERS_GET ----
+function handleCommissionersGet_(ss) {
+  const commissioners = Array.from(loadCommissioners_(ss).entries()).map(([discordUserId, c]) => ({
+    discordUserId,
+    displayName: c.displayName,
+  }));
+  return { ok: true, commissioners };
+}
+
+// ---- COMMISSIONERS_SET ----
+function handleCommissionersSet_(ss, data) {
+  const id = String(data.discordUserId || "").trim();
+  if (!id) return { ok: false, error: "Missing discordUserId" };
+
+  const sh = getCommissionersSheet_(ss);
+  const map = getHeaderIndexMap_(sh);
+  const lastRow = sh.getLastRow();
+
+  const ids = lastRow >= 2 ? sh.getRange(2, map["DiscordUserId"] + 1, lastRow - 1, 1).getValues() : [];
+  const idx = ids.findIndex((r) => String(r[0] || "").trim() === id);
+
+  const row = new Array(sh.getLastColumn()).fill("");
+  row[map["DiscordUserId"]] = id;
+  row[map["DisplayName"]] = String(data.displayName || "").trim();
+  row[map["UpdatedAt"]] = new Date();
+  row[map["UpdatedBy"]] = String(data.updatedBy || "").trim();
+
+  if (idx >= 0) sh.getRange(2 + idx, 1, 1, row.length).setValues([row]);
+  else sh.appendRow(row);
+
+  return { ok: true, discordUserId: id, created: idx < 0 };
+}
+
+// ---- COMMISSIONERS_REMOVE ----
+// Refuses to remove the last commissioner (nobody could add one back from Discord).
+function handleCommissionersRemove_(ss, data) {
+  const id = String(data.discordUserId || "").trim();
+  if (!id) return { ok: false, error: "Missing discordUserId" };
+
+  const sh = getCommissionersSheet_(ss);
+  const map = getHeaderIndexMap_(sh);
+  const lastRow = sh.getLastRow();
+  if (lastRow < 2) return { ok: true, removed: false, discordUserId: id };
+
+  const ids = sh.getRange(2, map["DiscordUserId"] + 1, lastRow - 1, 1).getValues().map((r) => String(r[0] || "").trim());
+  const rows = ids.map((x, i) => (x === id ? i : -1)).filter((i) => i >= 0);
+  if (!rows.length) return { ok: true, removed: false, discordUserId: id };
+  if (!ids.some((x) => x && x !== id)) return { ok: false, error: "Can't remove the last commissioner." };
+
+  for (let k = rows.length - 1; k >= 0; k--) sh.deleteRow(2 + rows[k]);
+  return { ok: true, removed: true, discordUserId: id };
+}
+
+function adminActorForRequest_(data) {
+  return String((data && (data.actor || data.updatedBy)) || "").trim();
+}
+
+/**
+ * Returns "" (allowed / not an admin action) or an error message.
+ */
+function checkCommissionerForRequest_(ss, data) {
+  const action = String((data && data.action) || "");
+  if (!ADMIN_ACTIONS.includes(action) && !/^ADMIN_/.test(action)) return "";
+
+  const actor = adminActorForRequest_(data);
+  if (!actor) return `${action} requires an actor (Discord user id).`;
+  if (/^system:/.test(actor)) return "";
+
+  const ids = loadCommissionerIds_(ss);
+  if (!ids.size) return `No commissioners configured. Add your Discord user id to the ${COMMISSIONERS_SHEET} tab (DiscordUserId).`;
+  if (!ids.has(actor)) return "Only the commissioner can do that.";
+  return "";
+}
+
+/***********************
+ * 8) TRANSACTION VALIDATION
+ ***********************/
+
+/**
+ * Roster lock window per ScoringConfig event (date-only, script time zone):
+ *   locked from StartDate - ROSTER_LOCK_START_OFFSET_DAYS (default 0: the day lineups lock)
+ *   reopens the day after EndDate + ROSTER_LOCK_END_OFFSET_DAYS (default 0: after the EndDate finalize)
+ * Optional ScoringConfig columns RosterLockStart / RosterLockEnd (last locked day) override one event.
+ * ROSTER_LOCK_ENABLED=FALSE turns the window off. Commissioners can pass lockOverride.
+ */
+const ROSTER_LOCK_START_OFFSET_DAYS_DEFAULT = 0;
+const ROSTER_LOCK_END_OFFSET_DAYS_DEFAULT = 0;
+
+let rosterLockWindows_ = null; // per execution
+
+function loadRosterLockWindows_(ss) {
+  if (rosterLockWindows_) return rosterLockWindows_;
+
+  const startOffset = intScriptProp_("ROSTER_LOCK_START_OFFSET_DAYS", ROSTER_LOCK_START_OFFSET_DAYS_DEFAULT);
+  const endOffset = intScriptProp_("ROSTER_LOCK_END_OFFSET_DAYS", ROSTER_LOCK_END_OFFSET_DAYS_DEFAULT);
+
+  const overrides = new Map();
+  const cfgSh = mustGetSheet_(ss, SHEET_SCORING_CONFIG);
+  const idx = getHeaderIndexMap_(cfgSh);
+  if ((idx["RosterLockStart"] != null || idx["RosterLockEnd"] != null) && cfgSh.getLastRow() >= 2) {
+    const rows = cfgSh.getRange(2, 1, cfgSh.getLastRow() - 1, cfgSh.getLastColumn()).getValues();
+    for (const r of rows) {
+      const code = String(r[idx["EventCode"]] || "").trim().toUpperCase();
+      if (!code) continue;
+      overrides.set(code, {
+        start: idx["RosterLockStart"] != null ? asDateOnly_(r[idx["RosterLockStart"]]) : null,
+        end: idx["RosterLockEnd"] != null ? asDateOnly_(r[idx["RosterLockEnd"]]) : null,
+      });
+    }
+  }
+
+  rosterLockWindows_ = loadEnabledEventsSorted_(ss).map((ev) => {
+    const o = overrides.get(ev.eventCode) || {};
+    return {
+      eventCode: ev.eventCode,
+      eventHeader: ev.eventHeader,
+      startsAt: o.start || addDays_(ev.startDate, -startOffset),
+      reopensAt: addDays_(o.end || addDays_(ev.endDate, endOffset), 1),
+    };
+  });
+  return rosterLockWindows_;
+}
+
+/**
+ * The lock window covering `at` (back-to-back windows are merged so reopensAt is the real reopening), or null.
+ */
+function findRosterLock_(ss, at) {
+  if (String(getScriptProp_("ROSTER_LOCK_ENABLED") || "TRUE").toUpperCase() === "FALSE") return null;
+
+  const t = (at || new Date()).getTime();
+  const windows = loadRosterLockWindows_(ss);
+  const hit = windows.find((w) => w.startsAt.getTime() <= t && t < w.reopensAt.getTime());
+  if (!hit) return null;
+
+  let reopensAt = hit.reopensAt;
+  for (let extended = true; extended; ) {
+    extended = false;
+    for (const w of windows) {
+      if (w.startsAt.getTime() <= reopensAt.getTime() && w.reopensAt.getTime() > reopensAt.getTime()) {
+        reopensAt = w.reopensAt;
+        extended = true;
+      }
+    }
+  }
+  return { ...hit, reopensAt };
+}
+
+/**
+ * Returns { error, rosterLock } for a roster move; error is "" when allowed.
+ * rosterLock is the active window (ISO dates) or null.
+ */
+function checkRosterLock_(ss, data) {
+  const lock = findRosterLock_(ss, new Date());
+  if (!lock) return { error: "", rosterLock: null };
+
+  const rosterLock = {
+    eventCode: lock.eventCode,
+    eventHeader: lock.eventHeader,
+    startsAt: lock.startsAt.toISOString(),
+    reopensAt: lock.reopensAt.toISOString(),
+    overridden: false,
+  };
+
+  if (coerceBool_(data.lockOverride)) {
+    const actor = String(data.submittedBy || data.actor || "").trim();
+    if (!loadCommissionerIds_(ss).has(actor)) {
+      return { error: "Only the commissioner can override the roster lock.", rosterLock };
+    }
+    rosterLock.overridden = true;
+    return { error: "", rosterLock };
+  }
+
+  const reopens = Utilities.formatDate(lock.reopensAt, Session.getScriptTimeZone(), "EEE MMM d, h:mm a z");
+  return {
+    error: `Rosters are locked during ${lock.eventHeader} (${lock.eventCode}). Moves reopen ${reopens}.`,
+    rosterLock,
+  };
+}
+
+function validateTransaction_(ss, data) {
+  const errors = [];
+
+  const type = String(data.type || "").trim().toUpperCase();
+  const team = normalizeTeam_(data.team);
+
+  const dropPdga = String(data.dropPdga || "").trim();
+  const dropName = String(data.dropName || "").trim();
+  const addPdga = String(data.addPdga || "").trim();
+  const addName = String(data.addName || "").trim();
+
+  const pdga = String(data.pdga || "").trim();
+  const name = String(data.name || "").trim();
+
+  const fromTeam = normalizeTeam_(data.fromTeam);
+  const toTeam = normalizeTeam_(data.toTeam);
+
+  if (!type) errors.push("Missing field: type");
+  if (!team) errors.push("Missing field: team");
+
+  const allowed = new Set(["ADD", "DROP", "TRADE", "SWAP"]);
+  if (type && !allowed.has(type)) {
+    errors.push(`Unknown transaction type: ${type}. Allowed: ADD, DROP, TRADE, SWAP.`);
+    return { ok: false, errors, details: { type, team, fromTeam, toTeam } };
+  }
+
+  const { error: lockError, rosterLock } = checkRosterLock_(ss, data);
+  if (lockError) errors.push(lockError);
+
+  const { ownerByPdga, countByTeam, onWaivers } = getOwnershipStateFromRosters_(ss);
+  const awardHolds = loadOpenWaiverAwards_(ss);
+  const awardHoldError = (verb, who, id, forTeam) => {
+    const hold = awardHolds.get(id);
+    if (!hold || hold.team === normalizeTeam_(forTeam)) return "";
+    return `${verb} rejected: ${who} (${id}) was awarded to ${hold.team} on waivers (cycle ${hold.cycleId}). Only ${hold.team} can add them until the next waiver run.`;
+  };
+  const waiverHoldError = (verb, who, id) => {
+    const until = nextWaiverDate_(ss);
+    return `${verb} rejected: ${who} (${id}) is ${ON_WAIVERS} until the next waiver run${until ? ` (${until})` : ""}. Claim them with /waivers.`;
+  };
+
+  if (type === "SWAP") {
+    if (!dropPdga) errors.push("SWAP requires dropPdga.");
+    if (!dropName) errors.push("SWAP requires dropName.");
+    if (!addPdga) errors.push("SWAP requires addPdga.");
+    if (!addName) errors.push("SWAP requires addName.");
+
+    if (dropPdga && addPdga && dropPdga === addPdga) {
+      errors.push("SWAP rejected: drop player and add player cannot be the same PDGA.");
+    }
+
+    const rosterCount = countByTeam.get(team) || 0;
+    if (rosterCount > MAX_ROSTER) {
+      errors.push(`SWAP rejected: ${team} is over roster cap (${rosterCount}/${MAX_ROSTER}). Fix roster first.`);
+    }
+
+    const dropOwner = ownerByPdga.get(dropPdga) || "";
+    if (!dropOwner) {
+      errors.push(`SWAP rejected: drop player ${dropName} (${dropPdga}) is not currently owned by any team.`);
+    } else if (normalizeTeam_(dropOwner) !== normalizeTeam_(team)) {
+      errors.push(`SWAP rejected: ${team} does not own ${dropName} (${dropPdga}). Current owner: ${dropOwner}.`);
+    }
+
+    const addOwner = ownerByPdga.get(addPdga) || "";
+    const addIsFreeAgent = !addOwner || normalizeTeam_(addOwner) === FREE_AGENT;
+    if (!addIsFreeAgent) {
+      errors.push(`SWAP rejected: add player ${addName} (${addPdga}) is not a Free Agent. Current owner: ${addOwner}.`);
+    } else if (onWaivers.has(addPdga)) {
+      errors.push(waiverHoldError("SWAP", `add player ${addName}`, addPdga));
+    }
+    const addHeldError = addIsFreeAgent ? awardHoldError("SWAP", `add player ${addName}`, addPdga, team) : "";
+    if (addHeldError) errors.push(addHeldError);
+
+    return {
+      ok: errors.length === 0,
+      errors,
+      details: {
+        type,
+        team,
+        dropPdga,
+        dropName,
+        addPdga,
+        addName,
         dropCurrentOwner: dropOwner || null,
         addCurrentOwner: addOwner || null,
+        addOnWaivers: onWaivers.has(addPdga),
+        addAwardedTo: awardHolds.has(addPdga) ? awardHolds.get(addPdga).team : null,
         rosterCountTeam: rosterCount,
+        rosterCountAfter: rosterCount,
+        maxRoster: MAX_ROSTER,
+        rosterLock,
       },
     };
   }
 
   if (!pdga) errors.push("Missing field: pdga");
   if (!name) errors.push("Missing field: name");
-  if (errors.length) return { ok: false, errors, details: { type, team, fromTeam, toTeam, pdga, name } };
+  if (errors.length) return { ok: false, errors, details: { type, team, fromTeam, toTeam, pdga, name, rosterLock } };
 
   const currentOwner = ownerByPdga.get(pdga) || "";
   const isFreeAgent = !currentOwner || normalizeTeam_(currentOwner) === FREE_AGENT;
@@ -1760,7 +2488,11 @@ function validateTransaction_(ss, data) {
     if (!target) errors.push("ADD requires team (or toTeam).");
     if (!isFreeAgent) {
       errors.push(`ADD rejected: player ${name} (${pdga}) is not a Free Agent. Current owner: ${currentOwner || "UNKNOWN"}.`);
+    } else if (onWaivers.has(pdga)) {
+      errors.push(waiverHoldError("ADD", `player ${name}`, pdga));
     }
+    const heldError = isFreeAgent ? awardHoldError("ADD", `player ${name}`, pdga, target) : "";
+    if (heldError) errors.push(heldError);
     const count = countByTeam.get(target) || 0;
     if (count >= MAX_ROSTER) {
       errors.push(`ADD rejected: ${target} already has ${count}/${MAX_ROSTER} players.`);
@@ -1787,8 +2519,18 @@ function validateTransaction_(ss, data) {
         errors.push(`TRADE rejected: ${expectedOwner} does not own ${name} (${pdga}). Current owner: ${currentOwner}.`);
       }
     }
+
+    // TRADE_BATCH passes the receiving team's roster count after every leg is applied
+    if (toTeam && data.rosterCountAfter != null && Number(data.rosterCountAfter) > MAX_ROSTER) {
+      errors.push(`TRADE rejected: ${toTeam} would have ${data.rosterCountAfter}/${MAX_ROSTER} players after this trade.`);
+    }
   }
 
+  // Roster size of the acting team once this row is applied (TRADE counts come from TRADE_BATCH)
+  let rosterCountAfter = null;
+  if (type === "ADD") rosterCountAfter = (countByTeam.get(toTeam || team) || 0) + 1;
+  if (type === "DROP") rosterCountAfter = Math.max(0, (countByTeam.get(fromTeam || team) || 0) - 1);
+
   return {
     ok: errors.length === 0,
     errors,
@@ -1801,177 +2543,649 @@ function validateTransaction_(ss, data) {
       name,
       currentOwner: currentOwner || null,
       isFreeAgent,
+      onWaivers: onWaivers.has(pdga),
       rosterCountTeam: countByTeam.get(toTeam || team) || 0,
+      rosterCountAfter,
+      maxRoster: MAX_ROSTER,
+      rosterLock,
     },
   };
 }
 
 /***********************
- * 9) WAIVERS (kept from your version; SMS wired inside handleWaiverRun_)
+ * 8B) MULTI-PLAYER TRADES (TRADE_BATCH is validate-only; trades commit on TRADE_PROPOSAL_RESPOND accept)
  ***********************/
 
-// (No changes below this point other than SmsLog/AlertSubscriptions alignment and message templates)
-// Your waiver and lineup logic continues as-is.
+const TRADE_BATCH_MAX_LEGS = 8;
 
-function loadPlayerPoolPdgaSet_(playerPoolSh) {
-  const lastRow = playerPoolSh.getLastRow();
-  if (lastRow < 2) return new Set();
+/**
+ * legs: [{ pdga, name, fromTeam, toTeam }]
+ * Every leg runs through validateTransaction_ using post-trade roster counts.
+ */
+function validateTradeBatch_(ss, data) {
+  const rawLegs = Array.isArray(data.legs) ? data.legs : [];
+  const errors = [];
 
-  const idx = getHeaderIndexMap_(playerPoolSh);
-  const candidates = ["PDGA #", "Player PDGA #", "PDGA", "PDGA#"];
+  if (!rawLegs.length) return { ok: false, errors: ["TRADE_BATCH requires at least one leg."], legs: [], details: {} };
+  if (rawLegs.length > TRADE_BATCH_MAX_LEGS) {
+    return { ok: false, errors: [`TRADE_BATCH supports at most ${TRADE_BATCH_MAX_LEGS} players.`], legs: [], details: {} };
+  }
 
-  let pdgaCol = null;
-  for (const c of candidates) {
-    if (idx[c] != null) {
-      pdgaCol = idx[c];
-      break;
+  const legs = rawLegs.map((l) => ({
+    pdga: String(l.pdga || "").trim(),
+    name: String(l.name || "").trim(),
+    fromTeam: normalizeTeam_(l.fromTeam),
+    toTeam: normalizeTeam_(l.toTeam),
+  }));
+
+  const seen = new Set();
+  for (const l of legs) {
+    if (!l.fromTeam || !l.toTeam || l.fromTeam === FREE_AGENT || l.toTeam === FREE_AGENT) {
+      errors.push(`Invalid trade leg for ${l.name || l.pdga}: fromTeam and toTeam must be league teams.`);
     }
+    if (l.pdga && seen.has(l.pdga)) errors.push(`Duplicate player in trade: ${l.name} (${l.pdga})`);
+    seen.add(l.pdga);
+  }
+  if (errors.length) return { ok: false, errors, legs, details: {} };
+
+  const { countByTeam } = getOwnershipStateFromRosters_(ss);
+  const countAfter = new Map();
+  for (const l of legs) {
+    if (!countAfter.has(l.fromTeam)) countAfter.set(l.fromTeam, countByTeam.get(l.fromTeam) || 0);
+    if (!countAfter.has(l.toTeam)) countAfter.set(l.toTeam, countByTeam.get(l.toTeam) || 0);
+  }
+  for (const l of legs) {
+    countAfter.set(l.fromTeam, countAfter.get(l.fromTeam) - 1);
+    countAfter.set(l.toTeam, countAfter.get(l.toTeam) + 1);
+  }
+
+  const legDetails = [];
+  for (const l of legs) {
+    const verdict = validateTransaction_(ss, {
+      type: "TRADE",
+      team: l.fromTeam,
+      pdga: l.pdga,
+      name: l.name,
+      fromTeam: l.fromTeam,
+      toTeam: l.toTeam,
+      rosterCountAfter: countAfter.get(l.toTeam),
+      lockOverride: data.lockOverride,
+      submittedBy: data.submittedBy,
+    });
+    errors.push(...verdict.errors);
+    legDetails.push(verdict.details);
   }
-  if (pdgaCol == null) pdgaCol = 1;
 
-  const width = playerPoolSh.getLastColumn();
-  const rows = playerPoolSh.getRange(2, 1, lastRow - 1, width).getValues();
+  // De-dupe roster-cap messages (one per receiving team is enough)
+  const uniqueErrors = Array.from(new Set(errors));
 
-  const set = new Set();
-  for (const r of rows) {
-    const pdga = String(r[pdgaCol] || "").trim();
-    if (pdga) set.add(pdga);
-  }
-  return set;
+  const rosterCountsAfter = {};
+  for (const [team, n] of countAfter.entries()) rosterCountsAfter[team] = n;
+
+  return {
+    ok: uniqueErrors.length === 0,
+    errors: uniqueErrors,
+    legs,
+    details: {
+      legs: legDetails,
+      rosterCountsAfter,
+      maxRoster: MAX_ROSTER,
+      rosterLock: (legDetails[0] && legDetails[0].rosterLock) || null,
+    },
+  };
 }
 
-// ---- WAIVER_RUN ----
-function handleWaiverRun_(data) {
-  const ss = getSS_();
-  const cycleId = String(data.cycleId || "").trim();
-  const eventName = String(data.eventName || "").trim();
+/**
+ * Appends every TRADE row in a single write (one GroupId), then rebuilds Rosters.
+ */
+function commitTradeLegs_(ss, log, legs, { date, notes, submittedBy, groupId }) {
+  const sh = mustGetSheet_(ss, SHEET_TRANSACTIONS);
+  const when = date || new Date();
+  const gid = groupId || newTransactionGroupId_("TRADE");
+
+  appendTransactionRows_(
+    sh,
+    legs.map((l) => ({
+      date: when,
+      type: "TRADE",
+      team: l.fromTeam,
+      pdga: l.pdga,
+      name: l.name,
+      fromTeam: l.fromTeam,
+      toTeam: l.toTeam,
+      notes: notes || "",
+      submittedBy,
+      groupId: gid,
+    }))
+  );
+  SpreadsheetApp.flush();
 
-  if (!cycleId) return { ok: false, error: "Missing cycleId" };
-  if (!eventName) return { ok: false, error: "Missing eventName" };
+  log.appendRow([new Date(), "BEFORE_REBUILD"]);
+  rebuildRosters();
+  SpreadsheetApp.flush();
+  log.appendRow([new Date(), "AFTER_REBUILD"]);
+}
 
-  const awardsSh = mustGetSheet_(ss, "WaiverAwardsLog");
-  const requestsSh = mustGetSheet_(ss, "WaiverRequests");
-  const standingsSh = mustGetSheet_(ss, "Standings");
+/***********************
+ * 8C) TRADE PROPOSALS (propose -> counterparty accepts/rejects -> commit)
+ *
+ * Status: PENDING -> ACCEPTED | REJECTED | CANCELLED | EXPIRED | FAILED
+ * Only ACCEPTED writes TRADE rows (via commitTradeLegs_).
+ ***********************/
 
-  if (cycleAlreadyAwarded_(awardsSh, cycleId)) {
-    return { ok: true, alreadyPosted: true };
-  }
+const TRADE_PROPOSAL_DEFAULT_TTL_HOURS = 24;
 
-  const standings = loadStandings_(standingsSh);
-  if (!standings.length) return { ok: false, error: "Standings tab has no rows" };
+function getTradeProposalsSheet_(ss) {
+  return mustGetOrCreateSheet_(ss, TRADE_PROPOSALS_SHEET, TRADE_PROPOSALS_HEADERS);
+}
 
-  const hasRank = standings.some((s) => s.rank != null);
+function tradeProposalFromRow_(map, r) {
+  const asIso = (v) => (v instanceof Date ? v.toISOString() : String(v || ""));
+  return {
+    proposalId: String(r[map["ProposalId"]] || "").trim(),
+    status: String(r[map["Status"]] || "").trim().toUpperCase(),
+    teamA: normalizeTeam_(r[map["TeamA"]]),
+    teamB: normalizeTeam_(r[map["TeamB"]]),
+    legs: safeJson_(String(r[map["LegsJson"]] || "[]"), []),
+    notes: String(r[map["Notes"]] || ""),
+    proposedBy: String(r[map["ProposedBy"]] || "").trim(),
+    createdAt: asIso(r[map["CreatedAt"]]),
+    expiresAt: asIso(r[map["ExpiresAt"]]),
+    respondedBy: String(r[map["RespondedBy"]] || "").trim(),
+    respondedAt: asIso(r[map["RespondedAt"]]),
+    channelId: String(r[map["ChannelId"]] || "").trim(),
+    messageId: String(r[map["MessageId"]] || "").trim(),
+    error: String(r[map["Error"]] || ""),
+    lockOverride: map["LockOverride"] != null && coerceBool_(r[map["LockOverride"]]),
+  };
+}
 
-  const ordered = standings.slice().sort((a, b) => {
-    if (hasRank) {
-      return Number(b.rank || 0) - Number(a.rank || 0) || a.team.localeCompare(b.team);
-    }
-    return a.points - b.points || a.team.localeCompare(b.team);
-  });
+/**
+ * Returns { rowNum, proposal } or null.
+ */
+function findTradeProposal_(sh, proposalId) {
+  const id = String(proposalId || "").trim();
+  const lastRow = sh.getLastRow();
+  if (!id || lastRow < 2) return null;
 
-  const teamCount = ordered.length;
-  const requestsByTeam = loadActiveWaiverRequestsByTeam_(requestsSh, cycleId);
-  const { ownerByPdga } = getOwnershipStateFromRosters_(ss);
+  const map = getHeaderIndexMap_(sh);
+  const rows = sh.getRange(2, 1, lastRow - 1, sh.getLastColumn()).getValues();
+  for (let i = 0; i < rows.length; i++) {
+    if (String(rows[i][map["ProposalId"]] || "").trim() === id) {
+      return { rowNum: 2 + i, proposal: tradeProposalFromRow_(map, rows[i]) };
+    }
+  }
+  return null;
+}
 
-  function isEligible_(pdga) {
-    const owner = normalizeTeam_(ownerByPdga.get(String(pdga)) || "");
-    return !owner || owner === FREE_AGENT;
+function updateTradeProposalRow_(sh, rowNum, patch) {
+  const map = getHeaderIndexMap_(sh);
+  for (const [k, v] of Object.entries(patch)) {
+    const c = map[k];
+    if (c != null) sh.getRange(rowNum, c + 1).setValue(v);
   }
+  const map2 = getHeaderIndexMap_(sh);
+  const r = sh.getRange(rowNum, 1, 1, sh.getLastColumn()).getValues()[0];
+  return tradeProposalFromRow_(map2, r);
+}
 
-  const awardedThisRun = new Set();
-  const cursorByTeam = new Map();
-  for (const s of ordered) cursorByTeam.set(s.team, 0);
+function tradeProposalIsExpired_(proposal, now) {
+  const exp = new Date(proposal.expiresAt);
+  return isFinite(exp.getTime()) && exp.getTime() <= now.getTime();
+}
 
-  const nowIso = new Date().toISOString();
+// ---- TRADE_PROPOSE ----
+function handleTradePropose_(ss, data) {
+  const proposedBy = String(data.proposedBy || "").trim();
+  if (!proposedBy) return { ok: false, error: "Missing proposedBy" };
+
+  // The proposer must be the commissioner for lockOverride (checkRosterLock_ reads submittedBy)
+  const lockOverride = coerceBool_(data.lockOverride);
+  const verdict = validateTradeBatch_(ss, { ...data, lockOverride, submittedBy: proposedBy });
+  if (!verdict.ok) return { ok: false, errors: verdict.errors, details: verdict.details };
+
+  const teams = Array.from(new Set(verdict.legs.flatMap((l) => [l.fromTeam, l.toTeam])));
+  if (teams.length !== 2) return { ok: false, error: "Trade proposals must be between exactly two teams." };
+
+  const teamA = normalizeTeam_(data.teamA) || verdict.legs[0].fromTeam;
+  const teamB = teams.find((t) => t !== teamA);
+
+  const ttlRaw = Number(data.ttlHours);
+  const ttlHours = isFinite(ttlRaw) && ttlRaw > 0 ? Math.min(ttlRaw, 24 * 7) : TRADE_PROPOSAL_DEFAULT_TTL_HOURS;
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ttlHours * 60 * 60 * 1000);
+  const proposalId = "TP-" + Utilities.getUuid().replace(/-/g, "").slice(0, 10).toUpperCase();
+
+  const sh = getTradeProposalsSheet_(ss);
+  ensureHeaderColumn_(sh, "LockOverride");
+  const map = getHeaderIndexMap_(sh);
+  const row = new Array(sh.getLastColumn()).fill("");
+  const values = {
+    ProposalId: proposalId,
+    Status: "PENDING",
+    TeamA: teamA,
+    TeamB: teamB,
+    LegsJson: JSON.stringify(verdict.legs),
+    Notes: String(data.notes || "").trim(),
+    ProposedBy: proposedBy,
+    CreatedAt: now,
+    ExpiresAt: expiresAt,
+    LockOverride: lockOverride,
+  };
+  for (const [k, v] of Object.entries(values)) {
+    if (map[k] != null) row[map[k]] = v;
+  }
+  sh.appendRow(row);
+
+  return {
+    ok: true,
+    proposal: {
+      proposalId,
+      status: "PENDING",
+      teamA,
+      teamB,
+      legs: verdict.legs,
+      notes: values.Notes,
+      proposedBy,
+      createdAt: now.toISOString(),
+      expiresAt: expiresAt.toISOString(),
+      lockOverride,
+    },
+    details: verdict.details,
+  };
+}
+
+// ---- TRADE_PROPOSAL_SET_MESSAGE ----
+function handleTradeProposalSetMessage_(ss, data) {
+  const sh = getTradeProposalsSheet_(ss);
+  const found = findTradeProposal_(sh, data.proposalId);
+  if (!found) return { ok: false, error: `Trade proposal not found: ${data.proposalId || ""}` };
+
+  const proposal = updateTradeProposalRow_(sh, found.rowNum, {
+    ChannelId: String(data.channelId || "").trim(),
+    MessageId: String(data.messageId || "").trim(),
+  });
+  return { ok: true, proposal };
+}
+
+// ---- TRADE_PROPOSAL_RESPOND ----
+// response: ACCEPT | REJECT (counterparty) or CANCEL (proposer)
+function handleTradeProposalRespond_(ss, log, data) {
+  const response = String(data.response || "").trim().toUpperCase();
+  const respondedBy = String(data.respondedBy || "").trim();
+  if (!["ACCEPT", "REJECT", "CANCEL"].includes(response)) {
+    return { ok: false, error: `Unknown response: ${data.response || ""}` };
+  }
+  if (!respondedBy) return { ok: false, error: "Missing respondedBy" };
+
+  const sh = getTradeProposalsSheet_(ss);
+  const found = findTradeProposal_(sh, data.proposalId);
+  if (!found) return { ok: false, error: `Trade proposal not found: ${data.proposalId || ""}` };
+
+  const { rowNum, proposal } = found;
+  const now = new Date();
+
+  if (proposal.status !== "PENDING") {
+    return { ok: false, error: `This trade proposal is already ${proposal.status}.`, proposal };
+  }
+
+  if (tradeProposalIsExpired_(proposal, now)) {
+    const expired = updateTradeProposalRow_(sh, rowNum, { Status: "EXPIRED", RespondedAt: now });
+    return { ok: false, error: "This trade proposal has expired.", proposal: expired };
+  }
+
+  const managers = loadTeamManagers_(ss);
+
+  if (response === "CANCEL") {
+    if (respondedBy !== proposal.proposedBy && checkManagesTeam_(managers, respondedBy, proposal.teamA)) {
+      return { ok: false, error: `Only ${proposal.teamA}'s manager can cancel this proposal.` };
+    }
+    const cancelled = updateTradeProposalRow_(sh, rowNum, {
+      Status: "CANCELLED",
+      RespondedBy: respondedBy,
+      RespondedAt: now,
+    });
+    return { ok: true, proposal: cancelled };
+  }
+
+  if (checkManagesTeam_(managers, respondedBy, proposal.teamB)) {
+    return { ok: false, error: `Only ${proposal.teamB}'s manager can accept or reject this proposal.` };
+  }
+
+  if (response === "REJECT") {
+    const rejected = updateTradeProposalRow_(sh, rowNum, {
+      Status: "REJECTED",
+      RespondedBy: respondedBy,
+      RespondedAt: now,
+    });
+    return { ok: true, proposal: rejected };
+  }
+
+  // ACCEPT: re-validate against current Rosters (players may have moved since the proposal).
+  // A commissioner's lock override on the proposal carries over; a commissioner accepting
+  // can also pass lockOverride themselves.
+  const lockOverride = proposal.lockOverride || coerceBool_(data.lockOverride);
+  const overrideBy = loadCommissionerIds_(ss).has(respondedBy) ? respondedBy : proposal.proposedBy;
+  const verdict = validateTradeBatch_(ss, { legs: proposal.legs, lockOverride, submittedBy: overrideBy });
+  if (!verdict.ok) {
+    const failed = updateTradeProposalRow_(sh, rowNum, {
+      Status: "FAILED",
+      RespondedBy: respondedBy,
+      RespondedAt: now,
+      Error: verdict.errors.join(" | "),
+    });
+    return { ok: false, errors: verdict.errors, proposal: failed };
+  }
+
+  const notes = [proposal.notes, `proposal=${proposal.proposalId}`].filter((x) => x).join(" | ");
+  commitTradeLegs_(ss, log, verdict.legs, {
+    date: now,
+    notes,
+    submittedBy: proposal.proposedBy,
+    groupId: proposal.proposalId,
+  });
+
+  const accepted = updateTradeProposalRow_(sh, rowNum, {
+    Status: "ACCEPTED",
+    RespondedBy: respondedBy,
+    RespondedAt: now,
+  });
+  return { ok: true, proposal: accepted, details: verdict.details };
+}
+
+// ---- TRADE_PROPOSALS_EXPIRE ----
+// Marks every overdue PENDING proposal EXPIRED and returns them so the bot can edit the posts.
+function handleTradeProposalsExpire_(ss) {
+  const sh = getTradeProposalsSheet_(ss);
+  const lastRow = sh.getLastRow();
+  if (lastRow < 2) return { ok: true, expired: [] };
+
+  const map = getHeaderIndexMap_(sh);
+  const range = sh.getRange(2, 1, lastRow - 1, sh.getLastColumn());
+  const rows = range.getValues();
+  const now = new Date();
+
+  const expired = [];
+  for (const r of rows) {
+    const p = tradeProposalFromRow_(map, r);
+    if (p.status !== "PENDING" || !tradeProposalIsExpired_(p, now)) continue;
+
+    r[map["Status"]] = "EXPIRED";
+    r[map["RespondedAt"]] = now;
+    expired.push({ ...p, status: "EXPIRED", respondedAt: now.toISOString() });
+  }
+
+  if (expired.length) range.setValues(rows);
+  return { ok: true, expired };
+}
+
+/***********************
+ * 9) WAIVERS (kept from your version; SMS wired inside handleWaiverRun_)
+ ***********************/
+
+// (No changes below this point other than SmsLog/AlertSubscriptions alignment and message templates)
+// Your waiver and lineup logic continues as-is.
+
+function loadPlayerPoolPdgaSet_(playerPoolSh) {
+  const lastRow = playerPoolSh.getLastRow();
+  if (lastRow < 2) return new Set();
+
+  const idx = getHeaderIndexMap_(playerPoolSh);
+  const candidates = ["PDGA #", "Player PDGA #", "PDGA", "PDGA#"];
+
+  let pdgaCol = null;
+  for (const c of candidates) {
+    if (idx[c] != null) {
+      pdgaCol = idx[c];
+      break;
+    }
+  }
+  if (pdgaCol == null) pdgaCol = 1;
+
+  const width = playerPoolSh.getLastColumn();
+  const rows = playerPoolSh.getRange(2, 1, lastRow - 1, width).getValues();
+
+  const set = new Set();
+  for (const r of rows) {
+    const pdga = String(r[pdgaCol] || "").trim();
+    if (pdga) set.add(pdga);
+  }
+  return set;
+}
+
+// Set by every WAIVER_RUN; drops after this moment are On Waivers until the next run.
+// Falls back to the newest WaiverAwardsLog timestamp (column B) for sheets older than the property.
+const LAST_WAIVER_RUN_PROP = "LAST_WAIVER_RUN_AT";
+
+function lastWaiverRunAt_(ss) {
+  const raw = PropertiesService.getScriptProperties().getProperty(LAST_WAIVER_RUN_PROP);
+  if (raw && isFinite(new Date(raw).getTime())) return new Date(raw);
+
+  const sh = ss.getSheetByName("WaiverAwardsLog");
+  if (!sh || sh.getLastRow() < 2) return null;
+
+  let latest = null;
+  for (const [v] of sh.getRange(2, 2, sh.getLastRow() - 1, 1).getValues()) {
+    const d = v instanceof Date ? v : new Date(v);
+    if (isFinite(d.getTime()) && (!latest || d.getTime() > latest.getTime())) latest = d;
+  }
+  return latest;
+}
+
+// Next scheduled waiver run (yyyy-MM-dd), or "" when the schedule has none left
+function nextWaiverDate_(ss) {
+  const tz = Session.getScriptTimeZone();
+  const today = Utilities.formatDate(new Date(), tz, "yyyy-MM-dd");
+  const lastRun = lastWaiverRunAt_(ss);
+  const ranToday = lastRun && Utilities.formatDate(lastRun, tz, "yyyy-MM-dd") === today;
+
+  try {
+    const next = handleScheduleGet_(ss).waivers.find((w) => (ranToday ? w.date > today : w.date >= today));
+    return next ? next.date : "";
+  } catch (e) {
+    return "";
+  }
+}
+
+// ---- WAIVER_RUN ----
+function handleWaiverRun_(data) {
+  const ss = getSS_();
+  const cycleId = String(data.cycleId || "").trim();
+  const eventName = String(data.eventName || "").trim();
+
+  if (!cycleId) return { ok: false, error: "Missing cycleId" };
+  if (!eventName) return { ok: false, error: "Missing eventName" };
+
+  const awardsSh = mustGetSheet_(ss, "WaiverAwardsLog");
+  const requestsSh = mustGetSheet_(ss, "WaiverRequests");
+  const standingsSh = mustGetSheet_(ss, SHEET_STANDINGS);
+
+  if (cycleAlreadyAwarded_(awardsSh, cycleId)) {
+    // Logged but never posted (the Discord send failed before WAIVER_AWARDS_SET_MESSAGE):
+    // hand the logged awards back so the bot can post them again
+    const logged = loggedWaiverAwardsResult_(awardsSh, cycleId, eventName);
+    return logged || { ok: true, alreadyPosted: true };
+  }
+
+  const standings = loadStandings_(standingsSh);
+  if (!standings.length) return { ok: false, error: "Standings tab has no rows" };
+
+  const hasRank = standings.some((s) => s.rank != null);
+
+  const ordered = standings.slice().sort((a, b) => {
+    if (hasRank) {
+      return Number(b.rank || 0) - Number(a.rank || 0) || a.team.localeCompare(b.team);
+    }
+    return a.points - b.points || a.team.localeCompare(b.team);
+  });
+
+  // Unclaimed awards from the previous run go back to the pool
+  lapseOpenWaiverAwards_(ss);
+
+  const teamCount = ordered.length;
+  const requestsByTeam = loadActiveWaiverRequestsByTeam_(requestsSh, cycleId);
+  const { ownerByPdga } = getOwnershipStateFromRosters_(ss);
+
+  function isEligible_(pdga) {
+    const owner = normalizeTeam_(ownerByPdga.get(String(pdga)) || "");
+    return !owner || owner === FREE_AGENT;
+  }
+
+  const awardedThisRun = new Set();
+  const cursorByTeam = new Map();
+  for (const s of ordered) cursorByTeam.set(s.team, 0);
+
+  const nowIso = new Date().toISOString();
   const awardRowsToAppend = [];
   const lines = [];
 
   const awardsByTeam = new Map();
+  const rounds = []; // [{ round, awards: [{ priority, team, pdga, name, bid? }] }] (FAAB: one round)
+  const noValidPick = []; // [{ priority, team }] (nothing awarded in round 1)
+
+  const season = waiverSeason_();
+  const mode = waiverMode_(season);
+  const ledgerRows = [];
+  const skippedBids = []; // FAAB bids over the team's remaining budget
+  const bidByAwardRow = new Map(); // awardRowsToAppend index -> winning bid (FAAB)
+
+  if (mode === WAIVER_MODE_FAAB) {
+    const balances = loadFaabBalances_(ss, season);
+    const remainingByTeam = new Map(ordered.map((s) => [s.team, faabRemainingFor_(balances, s.team, season).remaining]));
+    const { awards, skipped } = runFaabAuction_(ordered, requestsByTeam, isEligible_, remainingByTeam);
+
+    lines.push("— FAAB —");
+    for (const a of awards) {
+      bidByAwardRow.set(awardRowsToAppend.length, a.bid);
+      awardRowsToAppend.push([cycleId, nowIso, a.team, a.priority, a.pdga, a.name, "AWARDED", "", "OPEN", ""]);
+      ledgerRows.push([season, a.team, cycleId, nowIso, "AWARD", -a.bid, a.pdga, a.name, ""]);
+      lines.push(`${a.team}: ${a.name} (${a.pdga}) — $${a.bid}`);
+
+      if (!awardsByTeam.has(a.team)) awardsByTeam.set(a.team, []);
+      awardsByTeam.get(a.team).push({ pdga: a.pdga, name: a.name, rank: a.rank, bid: a.bid });
+    }
+    for (const x of skipped) {
+      lines.push(`(skipped) ${x.team}: ${x.name} $${x.bid} — ${x.reason}`);
+      skippedBids.push({ team: x.team, pdga: x.pdga, name: x.name, bid: x.bid, reason: x.reason });
+    }
+    if (awards.length) {
+      rounds.push({ round: 1, awards: awards.map(({ priority, team, pdga, name, bid }) => ({ priority, team, pdga, name, bid })) });
+    }
 
-  let round = 1;
-  const MAX_ROUNDS = 50;
-
-  while (round <= MAX_ROUNDS) {
-    const beforeRoundLineCount = lines.length;
-    lines.push(`— Round ${round} —`);
-
-    let awardsThisRound = 0;
+    ordered.forEach((s, i) => {
+      if (awardsByTeam.has(s.team)) return;
+      const priority = String(teamCount - i);
+      awardRowsToAppend.push([cycleId, nowIso, s.team, priority, "", "", "NO_VALID_PICK", "", "", ""]);
+      noValidPick.push({ priority, team: s.team });
+    });
+  } else {
+    let round = 1;
+    const MAX_ROUNDS = 50;
 
-    for (let i = 0; i < ordered.length; i++) {
-      const team = ordered[i].team;
-      const waiverPriorityLabel = String(teamCount - i);
+    while (round <= MAX_ROUNDS) {
+      const beforeRoundLineCount = lines.length;
+      lines.push(`— Round ${round} —`);
 
-      const wishlist = requestsByTeam.get(team) || [];
-      let cursor = cursorByTeam.get(team) || 0;
+      let awardsThisRound = 0;
+      const roundAwards = [];
 
-      let awarded = null;
+      for (let i = 0; i < ordered.length; i++) {
+        const team = ordered[i].team;
+        const waiverPriorityLabel = String(teamCount - i);
 
-      while (cursor < wishlist.length) {
-        const pick = wishlist[cursor];
-        cursor++;
+        const wishlist = requestsByTeam.get(team) || [];
+        let cursor = cursorByTeam.get(team) || 0;
 
-        const pdga = String(pick.pdga || "").trim();
-        if (!pdga) continue;
+        let awarded = null;
 
-        if (awardedThisRun.has(pdga)) continue;
-        if (!isEligible_(pdga)) continue;
+        while (cursor < wishlist.length) {
+          const pick = wishlist[cursor];
+          cursor++;
 
-        awarded = { pdga, name: pick.name, rank: pick.rank };
-        break;
-      }
+          const pdga = String(pick.pdga || "").trim();
+          if (!pdga) continue;
 
-      cursorByTeam.set(team, cursor);
+          if (awardedThisRun.has(pdga)) continue;
+          if (!isEligible_(pdga)) continue;
 
-      if (awarded) {
-        awardsThisRound++;
-        awardedThisRun.add(awarded.pdga);
+          awarded = { pdga, name: pick.name, rank: pick.rank };
+          break;
+        }
 
-        awardRowsToAppend.push([
-          cycleId,
-          nowIso,
-          team,
-          waiverPriorityLabel,
-          awarded.pdga,
-          awarded.name,
-          "AWARDED",
-          "",
-          "OPEN",
-          "",
-        ]);
+        cursorByTeam.set(team, cursor);
 
-        lines.push(`${waiverPriorityLabel}) ${team}: ${awarded.name} (${awarded.pdga})`);
+        if (awarded) {
+          awardsThisRound++;
+          awardedThisRun.add(awarded.pdga);
 
-        if (!awardsByTeam.has(team)) awardsByTeam.set(team, []);
-        awardsByTeam.get(team).push(awarded);
-      } else {
-        if (round === 1) {
           awardRowsToAppend.push([
             cycleId,
             nowIso,
             team,
             waiverPriorityLabel,
+            awarded.pdga,
+            awarded.name,
+            "AWARDED",
             "",
-            "",
-            "NO_VALID_PICK",
-            "",
-            "",
+            "OPEN",
             "",
           ]);
+
+          lines.push(`${waiverPriorityLabel}) ${team}: ${awarded.name} (${awarded.pdga})`);
+          roundAwards.push({ priority: waiverPriorityLabel, team, pdga: awarded.pdga, name: awarded.name });
+
+          if (!awardsByTeam.has(team)) awardsByTeam.set(team, []);
+          awardsByTeam.get(team).push(awarded);
+        } else {
+          if (round === 1) {
+            awardRowsToAppend.push([
+              cycleId,
+              nowIso,
+              team,
+              waiverPriorityLabel,
+              "",
+              "",
+              "NO_VALID_PICK",
+              "",
+              "",
+              "",
+            ]);
+            noValidPick.push({ priority: waiverPriorityLabel, team });
+          }
         }
       }
-    }
 
-    if (awardsThisRound === 0) {
-      if (round > 1) lines.length = beforeRoundLineCount;
-      break;
-    }
+      if (awardsThisRound === 0) {
+        if (round > 1) lines.length = beforeRoundLineCount;
+        break;
+      }
 
-    round++;
+      rounds.push({ round, awards: roundAwards });
+      round++;
+    }
   }
 
-  if (awardRowsToAppend.length) appendRows_(awardsSh, awardRowsToAppend);
+  // Cleared by WAIVER_AWARDS_SET_MESSAGE once the bot's post lands
+  const postCol = ensureHeaderColumn_(awardsSh, "PostStatus");
+  const bidCol = mode === WAIVER_MODE_FAAB ? ensureHeaderColumn_(awardsSh, "Bid") : 0;
+  padRowsToWidth_(awardRowsToAppend, awardsSh.getLastColumn());
+  for (const row of awardRowsToAppend) row[postCol - 1] = AWARDS_UNPOSTED;
+  for (const [i, bid] of bidByAwardRow) awardRowsToAppend[i][bidCol - 1] = bid;
+  appendRows_(awardsSh, awardRowsToAppend);
+  if (ledgerRows.length) {
+    appendRows_(mustGetOrCreateSheet_(ss, FAAB_LEDGER_SHEET, FAAB_LEDGER_HEADERS), ledgerRows);
+  }
   rollRequestsForCycle_(requestsSh, cycleId);
 
+  // Everything On Waivers clears now (unclaimed players become ordinary Free Agents)
+  PropertiesService.getScriptProperties().setProperty(LAST_WAIVER_RUN_PROP, nowIso);
+  try {
+    rebuildRosters();
+  } catch (e) {
+    Logger.log("Rosters rebuild after waiver run failed: " + (e && e.message ? e.message : e));
+  }
+
   // SMS: only to teams with awards and WaiverAwards=true
   try {
     const smsBudget = newSmsBudget_();
@@ -1984,12 +3198,109 @@ function handleWaiverRun_(data) {
     ok: true,
     alreadyPosted: false,
     title: `Waiver Awards — Cycle ${cycleId}`,
+    cycleId: cycleId,
     eventName: eventName,
+    mode: mode,
+    season: season,
     lines: lines,
-    footer: "Awards do not auto-add players. Use /transaction to claim.",
+    rounds: rounds,
+    noValidPick: noValidPick,
+    skipped: skippedBids,
+    footer: WAIVER_AWARDS_FOOTER,
+  };
+}
+
+const WAIVER_AWARDS_FOOTER =
+  "Awards do not auto-add players. Claim with /transaction before the next waiver run; until then only the winning team can add them.";
+
+// PostStatus of WaiverAwardsLog rows written by a run whose Discord post hasn't been recorded.
+// Rows from before the column existed are blank and never reposted.
+const AWARDS_UNPOSTED = "UNPOSTED";
+const AWARDS_POSTED = "POSTED";
+
+// Rebuilds a WAIVER_RUN result from the cycle's WaiverAwardsLog rows while they are still
+// UNPOSTED; returns null otherwise. Over-budget FAAB bids aren't logged. staleMessageIds are
+// pages of a post that failed part-way, for the bot to delete before posting in full.
+function loggedWaiverAwardsResult_(awardsSh, cycleId, eventName) {
+  const rows = loadAwardRows_(awardsSh).filter((a) => a.cycleId === cycleId);
+  if (!rows.length || !rows.some((a) => a.postStatus === AWARDS_UNPOSTED)) return null;
+
+  const awarded = rows.filter((a) => a.status === "AWARDED");
+  const mode = awarded.some((a) => a.bid != null && isFinite(a.bid)) ? WAIVER_MODE_FAAB : WAIVER_MODE_PRIORITY;
+
+  // Priority runs log each team's k-th award in round k
+  const rounds = [];
+  const countByTeam = new Map();
+  for (const a of awarded) {
+    const round = mode === WAIVER_MODE_FAAB ? 1 : (countByTeam.get(a.team) || 0) + 1;
+    countByTeam.set(a.team, round);
+    if (!rounds[round - 1]) rounds[round - 1] = { round, awards: [] };
+    const award = { priority: a.priority, team: a.team, pdga: a.pdga, name: a.name };
+    if (mode === WAIVER_MODE_FAAB) award.bid = a.bid;
+    rounds[round - 1].awards.push(award);
+  }
+
+  return {
+    ok: true,
+    alreadyPosted: false,
+    reposting: true,
+    staleChannelId: rows[0].channelId,
+    staleMessageIds: rows[0].messageId ? rows[0].messageId.split(",") : [],
+    title: `Waiver Awards — Cycle ${cycleId}`,
+    cycleId: cycleId,
+    eventName: eventName,
+    mode: mode,
+    season: waiverSeason_(),
+    lines: [],
+    rounds: rounds.filter(Boolean),
+    noValidPick: rows.filter((a) => a.status === "NO_VALID_PICK").map((a) => ({ priority: a.priority, team: a.team })),
+    skipped: [],
+    footer: WAIVER_AWARDS_FOOTER,
   };
 }
 
+// ---- WAIVER_AWARDS_SET_MESSAGE ----
+// Records where the award post landed (comma-separated ids when it was split)
+// on every WaiverAwardsLog row for the cycle, so the post can be edited later.
+// partial=true (send failed part-way) keeps the rows UNPOSTED for the next run.
+function handleWaiverAwardsSetMessage_(data) {
+  const ss = getSS_();
+  const cycleId = String(data.cycleId || "").trim();
+  const channelId = String(data.channelId || "").trim();
+  const messageIds = (Array.isArray(data.messageIds) ? data.messageIds : [data.messageId])
+    .map((x) => String(x || "").trim())
+    .filter(Boolean);
+
+  if (!cycleId) return { ok: false, error: "Missing cycleId" };
+  if (!messageIds.length) return { ok: false, error: "Missing messageIds" };
+
+  const awardsSh = mustGetSheet_(ss, "WaiverAwardsLog");
+  const cChannel = ensureHeaderColumn_(awardsSh, "ChannelId");
+  const cMessage = ensureHeaderColumn_(awardsSh, "MessageId");
+  const cPost = ensureHeaderColumn_(awardsSh, "PostStatus");
+  const partial = coerceBool_(data.partial);
+
+  const idx = getHeaderIndexMap_(awardsSh);
+  const cCycle = idx["CycleId"];
+  if (cCycle == null) return { ok: false, error: 'WaiverAwardsLog missing header "CycleId"' };
+
+  const lastRow = awardsSh.getLastRow();
+  if (lastRow < 2) return { ok: false, error: `No WaiverAwardsLog rows for cycle ${cycleId}` };
+
+  const cycles = awardsSh.getRange(2, cCycle + 1, lastRow - 1, 1).getValues();
+  let updated = 0;
+  for (let i = 0; i < cycles.length; i++) {
+    if (String(cycles[i][0] || "").trim() !== cycleId) continue;
+    awardsSh.getRange(i + 2, cChannel).setValue(channelId);
+    awardsSh.getRange(i + 2, cMessage).setValue(messageIds.join(","));
+    awardsSh.getRange(i + 2, cPost).setValue(partial ? AWARDS_UNPOSTED : AWARDS_POSTED);
+    updated++;
+  }
+
+  if (!updated) return { ok: false, error: `No WaiverAwardsLog rows for cycle ${cycleId}` };
+  return { ok: true, cycleId, channelId, messageIds, updated };
+}
+
 // ---- WAIVER_SUBMIT ----
 function handleWaiverSubmit_(data) {
   const ss = getSS_();
@@ -2012,6 +3323,11 @@ function handleWaiverSubmit_(data) {
     return normalizeTeam_(ownerByPdga.get(String(pdga)) || "");
   }
 
+  // FAAB: every pick carries a whole-dollar bid no larger than the team's remaining budget
+  const season = waiverSeason_();
+  const mode = waiverMode_(season);
+  const faab = mode === WAIVER_MODE_FAAB ? faabRemainingFor_(loadFaabBalances_(ss, season), team, season) : null;
+
   const cleaned = [];
   const seenRanks = new Set();
   const seenPdga = new Set();
@@ -2035,9 +3351,23 @@ function handleWaiverSubmit_(data) {
       return { ok: false, error: `Already owned: ${name} (${pdga}) — Current owner: ${owner}` };
     }
 
+    let bid = null;
+    if (faab) {
+      bid = Number(p.bid);
+      if (p.bid === "" || p.bid == null || !Number.isInteger(bid) || bid < 0) {
+        return { ok: false, error: `FAAB waivers: pick ${rank} (${name}) needs a whole-dollar bid of $0 or more.` };
+      }
+      if (bid > faab.remaining) {
+        return {
+          ok: false,
+          error: `Bid of $${bid} on ${name} is over ${team}'s remaining FAAB ($${faab.remaining} of $${faab.budget}).`,
+        };
+      }
+    }
+
     seenRanks.add(rank);
     seenPdga.add(pdga);
-    cleaned.push({ rank, pdga, name });
+    cleaned.push({ rank, pdga, name, ...(faab ? { bid } : {}) });
   }
 
   if (!cleaned.length) return { ok: false, error: "No valid picks (need at least 1 ranked pick)" };
@@ -2058,11 +3388,70 @@ function handleWaiverSubmit_(data) {
     "ACTIVE",
   ]);
 
+  if (faab) {
+    const bidCol = ensureHeaderColumn_(requestsSh, "Bid");
+    padRowsToWidth_(rows, requestsSh.getLastColumn());
+    rows.forEach((r, i) => (r[bidCol - 1] = cleaned[i].bid));
+  }
+
   appendRows_(requestsSh, rows);
 
-  return { ok: true, cycleId, team, submittedCount: rows.length, picks: cleaned };
+  return { ok: true, cycleId, team, submittedCount: rows.length, picks: cleaned, mode, ...(faab ? { faab } : {}) };
+}
+
+// ---- WAIVER_GET ----
+// Active wishlist for one team + cycle, with each pick's current eligibility
+function handleWaiverGet_(data) {
+  const ss = getSS_();
+
+  const cycleId = String(data.cycleId || "").trim();
+  const team = normalizeTeam_(String(data.team || "").trim());
+  if (!cycleId) return { ok: false, error: "Missing cycleId" };
+  if (!team) return { ok: false, error: "Missing team" };
+
+  const requestsSh = mustGetSheet_(ss, "WaiverRequests");
+  const awardsSh = ss.getSheetByName("WaiverAwardsLog");
+  const alreadyRun = awardsSh ? cycleAlreadyAwarded_(awardsSh, cycleId) : false;
+
+  const active = loadActiveWaiverRequestsByTeam_(requestsSh, cycleId).get(team) || [];
+  const { ownerByPdga } = getOwnershipStateFromRosters_(ss);
+
+  const picks = active.map((p) => {
+    const owner = normalizeTeam_(ownerByPdga.get(String(p.pdga)) || "");
+    const eligible = !owner || owner === FREE_AGENT;
+    let reason = "";
+    if (!eligible) reason = owner === team ? "Already on your roster" : `Rostered by ${owner}`;
+    return { ...p, owner: owner || FREE_AGENT, eligible, reason };
+  });
+
+  const season = waiverSeason_();
+  const mode = waiverMode_(season);
+  const faab = mode === WAIVER_MODE_FAAB ? faabRemainingFor_(loadFaabBalances_(ss, season), team, season) : null;
+
+  return { ok: true, cycleId, team, alreadyRun, picks, mode, ...(faab ? { faab } : {}) };
+}
+
+// ---- WAIVER_CANCEL ----
+function handleWaiverCancel_(data) {
+  const ss = getSS_();
+
+  const cycleId = String(data.cycleId || "").trim();
+  const team = normalizeTeam_(String(data.team || "").trim());
+  if (!cycleId) return { ok: false, error: "Missing cycleId" };
+  if (!team) return { ok: false, error: "Missing team" };
+
+  const awardsSh = ss.getSheetByName("WaiverAwardsLog");
+  if (awardsSh && cycleAlreadyAwarded_(awardsSh, cycleId)) {
+    return { ok: false, error: `Waivers for cycle ${cycleId} have already been awarded.` };
+  }
+
+  const requestsSh = mustGetSheet_(ss, "WaiverRequests");
+  const cancelledCount = voidActiveRequestsForTeamCycle_(requestsSh, cycleId, team);
+
+  return { ok: true, cycleId, team, cancelledCount };
 }
 
+// Returns the number of ACTIVE rows flipped to VOID
 function voidActiveRequestsForTeamCycle_(requestsSh, cycleId, team) {
   const idx = getHeaderIndexMap_(requestsSh);
 
@@ -2075,13 +3464,13 @@ function voidActiveRequestsForTeamCycle_(requestsSh, cycleId, team) {
   if (cStatus == null) throw new Error('WaiverRequests missing header "Status"');
 
   const lastRow = requestsSh.getLastRow();
-  if (lastRow < 2) return;
+  if (lastRow < 2) return 0;
 
   const width = requestsSh.getLastColumn();
   const range = requestsSh.getRange(2, 1, lastRow - 1, width);
   const rows = range.getValues();
 
-  let changed = false;
+  let changed = 0;
   for (let i = 0; i < rows.length; i++) {
     const rowCycle = String(rows[i][cCycle] || "").trim();
     const rowTeam = normalizeTeam_(String(rows[i][cTeam] || "").trim());
@@ -2089,21 +3478,134 @@ function voidActiveRequestsForTeamCycle_(requestsSh, cycleId, team) {
 
     if (rowCycle === cycleId && rowTeam === team && status === "ACTIVE") {
       rows[i][cStatus] = "VOID";
-      changed = true;
+      changed++;
     }
   }
 
   if (changed) range.setValues(rows);
+  return changed;
 }
 
 /***********************
- * 10) WAIVER SUPPORT LOADERS
+ * 9B) FAAB (blind-bid waivers)
+ *
+ * Mode and budget are chosen per season with Script Properties:
+ *   WAIVER_SEASON          season label (default: current year)
+ *   WAIVER_MODE_<season>   PRIORITY | FAAB (falls back to WAIVER_MODE, then PRIORITY)
+ *   FAAB_BUDGET_<season>   starting budget (falls back to FAAB_BUDGET, then 100)
  ***********************/
 
-function loadStandings_(standingsSh) {
-  const idx = getHeaderIndexMap_(standingsSh);
+const WAIVER_MODE_PRIORITY = "PRIORITY";
+const WAIVER_MODE_FAAB = "FAAB";
+const FAAB_BUDGET_DEFAULT = 100;
 
-  const rankCol = idx["Standings"];
+function waiverSeason_() {
+  return getScriptProp_("WAIVER_SEASON") || Utilities.formatDate(new Date(), Session.getScriptTimeZone(), "yyyy");
+}
+
+function seasonScriptProp_(key, season) {
+  return getScriptProp_(`${key}_${season}`) || getScriptProp_(key);
+}
+
+function waiverMode_(season) {
+  const mode = String(seasonScriptProp_("WAIVER_MODE", season) || "").trim().toUpperCase();
+  return mode === WAIVER_MODE_FAAB ? WAIVER_MODE_FAAB : WAIVER_MODE_PRIORITY;
+}
+
+function faabBudget_(season) {
+  const n = Number(seasonScriptProp_("FAAB_BUDGET", season));
+  return seasonScriptProp_("FAAB_BUDGET", season) !== "" && isFinite(n) ? n : FAAB_BUDGET_DEFAULT;
+}
+
+/**
+ * Remaining FAAB per team for a season: Map(team -> { budget, spent, remaining }).
+ * Teams without ledger rows still get the full budget via faabRemainingFor_.
+ */
+function loadFaabBalances_(ss, season) {
+  const sh = mustGetOrCreateSheet_(ss, FAAB_LEDGER_SHEET, FAAB_LEDGER_HEADERS);
+  const budget = faabBudget_(season);
+  const out = new Map();
+  if (sh.getLastRow() < 2) return out;
+
+  const idx = getHeaderIndexMap_(sh);
+  const rows = sh.getRange(2, 1, sh.getLastRow() - 1, sh.getLastColumn()).getValues();
+  for (const r of rows) {
+    if (String(r[idx["Season"]] || "").trim() !== season) continue;
+    const team = normalizeTeam_(r[idx["Team"]]);
+    const amount = Number(r[idx["Amount"]]);
+    if (!team || !isFinite(amount)) continue;
+
+    const bal = out.get(team) || { budget, spent: 0, remaining: budget };
+    if (amount < 0) bal.spent += -amount;
+    bal.remaining += amount;
+    out.set(team, bal);
+  }
+  return out;
+}
+
+function faabRemainingFor_(balances, team, season) {
+  const budget = faabBudget_(season);
+  return balances.get(team) || { budget, spent: 0, remaining: budget };
+}
+
+/**
+ * Blind-bid awards. Highest bid wins each player; ties go to the worse standings
+ * position (earlier in `ordered`), then to whichever team ranked the player higher.
+ * Bids above a team's remaining budget at award time are skipped.
+ * Returns { awards: [{ team, priority, pdga, name, rank, bid }], skipped: [{ team, pdga, name, bid, reason }] }
+ */
+function runFaabAuction_(ordered, requestsByTeam, isEligible, remainingByTeam) {
+  const teamCount = ordered.length;
+  const bids = [];
+  ordered.forEach((s, i) => {
+    for (const pick of requestsByTeam.get(s.team) || []) {
+      const pdga = String(pick.pdga || "").trim();
+      if (!pdga) continue;
+      bids.push({
+        team: s.team,
+        order: i,
+        priority: String(teamCount - i),
+        pdga,
+        name: pick.name,
+        rank: pick.rank,
+        bid: Math.max(0, Math.floor(Number(pick.bid) || 0)),
+      });
+    }
+  });
+
+  bids.sort((a, b) => b.bid - a.bid || a.order - b.order || a.rank - b.rank);
+
+  const remaining = new Map(remainingByTeam);
+  const awarded = new Set();
+  const awards = [];
+  const skipped = [];
+
+  for (const b of bids) {
+    if (awarded.has(b.pdga)) continue;
+    if (!isEligible(b.pdga)) continue;
+
+    const left = remaining.has(b.team) ? remaining.get(b.team) : 0;
+    if (b.bid > left) {
+      skipped.push({ team: b.team, pdga: b.pdga, name: b.name, bid: b.bid, reason: `over budget ($${left} left)` });
+      continue;
+    }
+
+    awarded.add(b.pdga);
+    remaining.set(b.team, left - b.bid);
+    awards.push({ team: b.team, priority: b.priority, pdga: b.pdga, name: b.name, rank: b.rank, bid: b.bid });
+  }
+
+  return { awards, skipped };
+}
+
+/***********************
+ * 10) WAIVER SUPPORT LOADERS
+ ***********************/
+
+function loadStandings_(standingsSh) {
+  const idx = getHeaderIndexMap_(standingsSh);
+
+  const rankCol = idx["Standings"];
   const teamCol = idx["Team Name"];
   const pointsCol = idx["Points"];
 
@@ -2147,6 +3649,7 @@ function loadActiveWaiverRequestsByTeam_(requestsSh, cycleId) {
   const cPdga = idx["PlayerPDGA"];
   const cName = idx["PlayerName"];
   const cStatus = idx["Status"];
+  const cBid = idx["Bid"]; // optional (FAAB)
 
   const required = [
     ["CycleId", cCycle],
@@ -2183,8 +3686,11 @@ function loadActiveWaiverRequestsByTeam_(requestsSh, cycleId) {
 
     if (!pdga || !name || isNaN(rank)) continue;
 
+    const rawBid = cBid != null ? r[cBid] : "";
+    const bid = rawBid === "" || rawBid == null || isNaN(Number(rawBid)) ? null : Number(rawBid);
+
     if (!map.has(team)) map.set(team, []);
-    map.get(team).push({ rank, pdga, name });
+    map.get(team).push({ rank, pdga, name, bid });
   }
 
   for (const [team, list] of map.entries()) {
@@ -2212,6 +3718,83 @@ function cycleAlreadyAwarded_(awardsSh, cycleId) {
   return false;
 }
 
+// ClaimStatus of an AWARDED row: OPEN until the winner's ADD lands (CLAIMED, with the
+// TransactionId in ClaimedByTxRowId), or LAPSED when the next waiver run starts first.
+// Runs before the hold existed left every award OPEN, so only the latest cycle counts.
+const AWARD_CLAIM_OPEN = "OPEN";
+const AWARD_CLAIM_CLAIMED = "CLAIMED";
+const AWARD_CLAIM_LAPSED = "LAPSED";
+
+function loadAwardRows_(awardsSh) {
+  const lastRow = awardsSh.getLastRow();
+  if (lastRow < 2) return [];
+  const idx = getHeaderIndexMap_(awardsSh);
+  for (const h of ["CycleId", "TeamName", "PlayerPDGA", "Status", "ClaimStatus"]) {
+    if (idx[h] == null) throw new Error(`WaiverAwardsLog missing header "${h}"`);
+  }
+  const cell = (r, h) => (idx[h] == null ? "" : r[idx[h]]);
+
+  const rows = awardsSh.getRange(2, 1, lastRow - 1, awardsSh.getLastColumn()).getValues();
+  return rows.map((r, i) => ({
+    row: i + 2,
+    cycleId: String(cell(r, "CycleId") || "").trim(),
+    team: normalizeTeam_(cell(r, "TeamName")),
+    priority: String(cell(r, "PriorityRankUsed") || "").trim(),
+    pdga: String(cell(r, "PlayerPDGA") || "").trim(),
+    name: String(cell(r, "PlayerName") || "").trim(),
+    status: String(cell(r, "Status") || "").trim().toUpperCase(),
+    claim: String(cell(r, "ClaimStatus") || "").trim().toUpperCase(),
+    bid: cell(r, "Bid") === "" ? null : Number(cell(r, "Bid")),
+    channelId: String(cell(r, "ChannelId") || "").trim(),
+    messageId: String(cell(r, "MessageId") || "").trim(),
+    postStatus: String(cell(r, "PostStatus") || "").trim().toUpperCase(),
+  }));
+}
+
+/**
+ * Unclaimed awards from the latest waiver cycle: Map(pdga -> { team, cycleId, name, row, bid }).
+ * Only the winning team may ADD an awarded player while the award is OPEN.
+ */
+function loadOpenWaiverAwards_(ss) {
+  const awardsSh = ss.getSheetByName("WaiverAwardsLog");
+  const out = new Map();
+  if (!awardsSh) return out;
+
+  const rows = loadAwardRows_(awardsSh);
+  const latestCycle = rows.length ? rows[rows.length - 1].cycleId : ""; // runs append in order
+  for (const a of rows) {
+    if (a.cycleId !== latestCycle) continue;
+    if (a.status === "AWARDED" && a.claim === AWARD_CLAIM_OPEN && a.pdga) out.set(a.pdga, a);
+  }
+  return out;
+}
+
+function setAwardCells_(awardsSh, row, values) {
+  const idx = getHeaderIndexMap_(awardsSh);
+  for (const [h, v] of Object.entries(values)) {
+    if (idx[h] != null) awardsSh.getRange(row, idx[h] + 1).setValue(v);
+  }
+}
+
+// Called after an ADD/SWAP commit; returns the claimed award or null
+function markWaiverAwardClaimed_(ss, pdga, team, transactionId) {
+  const award = loadOpenWaiverAwards_(ss).get(String(pdga || "").trim());
+  if (!award || award.team !== normalizeTeam_(team)) return null;
+  setAwardCells_(mustGetSheet_(ss, "WaiverAwardsLog"), award.row, {
+    ClaimStatus: AWARD_CLAIM_CLAIMED,
+    ClaimedByTxRowId: transactionId || "",
+  });
+  return award;
+}
+
+// Releases the previous cycle's unclaimed awards; returns them
+function lapseOpenWaiverAwards_(ss) {
+  const awardsSh = mustGetSheet_(ss, "WaiverAwardsLog");
+  const lapsed = Array.from(loadOpenWaiverAwards_(ss).values());
+  for (const a of lapsed) setAwardCells_(awardsSh, a.row, { ClaimStatus: AWARD_CLAIM_LAPSED });
+  return lapsed;
+}
+
 function rollRequestsForCycle_(requestsSh, cycleId) {
   const idx = getHeaderIndexMap_(requestsSh);
   const cCycle = idx["CycleId"];
@@ -2282,16 +3865,1032 @@ function handleLineupReminderRun_(ss, data) {
 return { ok: true, alreadyPosted: false }; // (or whatever you want)
 }
 
-/***********************
- * 12) WEBAPP ENDPOINT (doPost) — patched for compliance
- ***********************/
-
+/***********************
+ * 11B) BOT QUERIES (read-only actions behind slash commands)
+ ***********************/
+
+/**
+ * PlayerPool scoring snapshot keyed by PDGA:
+ *   Map<pdga, { name, seasonT, eventPts: { SFO: 42, BEO: 17, ... } }>
+ * Event totals come from the EVENT_T columns written by recomputePlayerPoolTotals_.
+ */
+function loadPlayerPoolStatsByPdga_(poolSh) {
+  const out = new Map();
+  const lastRow = poolSh.getLastRow();
+  const lastCol = poolSh.getLastColumn();
+  if (lastRow < 2 || lastCol < 1) return out;
+
+  const headers = poolSh
+    .getRange(1, 1, 1, lastCol)
+    .getValues()[0]
+    .map((h) => String(h || "").trim());
+
+  const pdgaCol1 = findPlayerPoolPdgaCol1_(headers);
+  if (pdgaCol1 <= 0) throw new Error('PlayerPool missing PDGA header (expected "PDGA #")');
+
+  let nameIdx0 = headers.indexOf("Player Name");
+  if (nameIdx0 < 0) nameIdx0 = headers.indexOf("Name");
+  const seasonIdx0 = headers.indexOf("Season_T");
+
+  const eventCols = [];
+  headers.forEach((h, idx0) => {
+    if (h === "Season_T") return;
+    const m = h.match(/^([A-Z0-9]+)_T$/i);
+    if (m) eventCols.push({ code: String(m[1]).toUpperCase(), idx0 });
+  });
+
+  const rows = poolSh.getRange(2, 1, lastRow - 1, lastCol).getValues();
+  for (const r of rows) {
+    const pdga = String(r[pdgaCol1 - 1] || "").trim();
+    if (!pdga || out.has(pdga)) continue;
+
+    const eventPts = {};
+    for (const { code, idx0 } of eventCols) {
+      const n = Number(r[idx0]);
+      eventPts[code] = isFinite(n) ? n : 0;
+    }
+
+    const season = seasonIdx0 >= 0 ? Number(r[seasonIdx0]) : 0;
+
+    out.set(pdga, {
+      name: nameIdx0 >= 0 ? String(r[nameIdx0] || "").trim() : "",
+      seasonT: isFinite(season) ? season : 0,
+      eventPts,
+    });
+  }
+
+  return out;
+}
+
+/**
+ * MPO/FPO tab snapshot keyed by PDGA:
+ *   Map<pdga, { name, division, rank }>
+ * Name is col A and StatMando rank is col D (see updateStatMandoRanksForDivision_).
+ */
+function loadDivisionPlayerInfo_(ss) {
+  const out = new Map();
+
+  for (const division of ["MPO", "FPO"]) {
+    const sh = ss.getSheetByName(division);
+    if (!sh) continue;
+
+    const lastRow = sh.getLastRow();
+    const lastCol = sh.getLastColumn();
+    if (lastRow < 2 || lastCol < 1) continue;
+
+    const headers = sh.getRange(1, 1, 1, lastCol).getValues()[0].map((h) => String(h).trim());
+    const pdgaCol = findColumnIndexByHeader_(headers, ["PDGA #", "Player PDGA #", "PDGA", "PDGA#"], 3);
+
+    const rows = sh.getRange(2, 1, lastRow - 1, lastCol).getValues();
+    for (const r of rows) {
+      const pdga = String(r[pdgaCol - 1] || "").trim();
+      if (!pdga || out.has(pdga)) continue;
+
+      const rawRank = String(r[3] ?? "").trim();
+      const rank = Number(rawRank);
+
+      out.set(pdga, {
+        name: String(r[0] || "").trim(),
+        division,
+        rank: rawRank && isFinite(rank) && rank > 0 ? rank : null,
+      });
+    }
+  }
+
+  return out;
+}
+
+// ---- ROSTER_GET ----
+function handleRosterGet_(ss, data) {
+  const team = normalizeTeam_(data.team);
+  if (!team || team === FREE_AGENT) return { ok: false, error: `Unknown team: ${data.team || ""}` };
+
+  const { rowsByTeam } = getOwnershipStateFromRosters_(ss);
+  const stats = loadPlayerPoolStatsByPdga_(mustGetSheet_(ss, SHEET_PLAYERPOOL));
+  const divInfo = loadDivisionPlayerInfo_(ss);
+
+  const players = (rowsByTeam.get(team) || []).map((p) => {
+    const st = stats.get(p.pdga);
+    const div = divInfo.get(p.pdga);
+    return {
+      pdga: p.pdga,
+      name: p.name || (st && st.name) || (div && div.name) || `PDGA ${p.pdga}`,
+      division: p.division || (div ? div.division : ""),
+      source: p.source,
+      seasonT: st ? st.seasonT : 0,
+    };
+  });
+
+  players.sort((a, b) => b.seasonT - a.seasonT || a.name.localeCompare(b.name));
+
+  return { ok: true, team, maxRoster: MAX_ROSTER, players };
+}
+
+// ---- OWNERSHIP_GET ----
+// pdga -> team for every rostered player (Free Agents omitted); feeds the bot's autocomplete cache.
+function handleOwnershipGet_(ss) {
+  const { ownerByPdga, onWaivers } = getOwnershipStateFromRosters_(ss);
+  const owners = {};
+  for (const [pdga, team] of ownerByPdga.entries()) {
+    if (team && team !== FREE_AGENT) owners[pdga] = team;
+  }
+  const awardHolds = {};
+  for (const [pdga, award] of loadOpenWaiverAwards_(ss)) awardHolds[pdga] = award.team;
+  return {
+    ok: true,
+    owners,
+    onWaivers: Array.from(onWaivers),
+    waiversUntil: onWaivers.size ? nextWaiverDate_(ss) : "",
+    awardHolds,
+  };
+}
+
+// ---- STANDINGS_GET ----
+// No eventCode: full Standings tab (rank, Season Total, per-event columns).
+// With eventCode: that event's finalized team totals from LineupHistory.
+function handleStandingsGet_(ss, data) {
+  const eventCode = String(data.eventCode || "").trim().toUpperCase();
+
+  let events = [];
+  try {
+    events = loadScoringConfig_(mustGetSheet_(ss, SHEET_SCORING_CONFIG));
+  } catch (e) {
+    events = [];
+  }
+
+  if (eventCode) {
+    const histSh = ss.getSheetByName(SHEET_LINEUP_HISTORY);
+    const ev = events.find((x) => x.eventCode === eventCode);
+    const eventHeader = ev ? ev.eventHeader : eventCode;
+
+    const totalByTeam = new Map();
+    if (histSh && histSh.getLastRow() >= 2) {
+      const idx = getHeaderIndexMap_(histSh);
+      const cCode = idx["EventCode"];
+      const cTeam = idx["Team"];
+      const cTotal = idx["TeamEventTotal"];
+      if (cCode == null || cTeam == null || cTotal == null) {
+        throw new Error("LineupHistory missing EventCode, Team or TeamEventTotal headers");
+      }
+
+      const rows = histSh.getRange(2, 1, histSh.getLastRow() - 1, histSh.getLastColumn()).getValues();
+      for (const r of rows) {
+        if (String(r[cCode] || "").trim().toUpperCase() !== eventCode) continue;
+        const team = normalizeTeam_(String(r[cTeam] || "").trim());
+        if (!team) continue;
+        const total = Number(r[cTotal]);
+        totalByTeam.set(team, isFinite(total) ? total : 0); // last finalize wins
+      }
+    }
+
+    const teams = Array.from(totalByTeam.entries())
+      .map(([team, total]) => ({ team, total }))
+      .sort((a, b) => b.total - a.total || a.team.localeCompare(b.team))
+      .map((x, i) => ({ rank: i + 1, ...x }));
+
+    return { ok: true, mode: "event", eventCode, eventHeader, teams };
+  }
+
+  const sh = mustGetSheet_(ss, SHEET_STANDINGS);
+  const lastRow = sh.getLastRow();
+  const lastCol = sh.getLastColumn();
+  if (lastRow < 2) return { ok: true, mode: "season", events: [], teams: [] };
+
+  const headers = sh.getRange(1, 1, 1, lastCol).getValues()[0].map((h) => String(h || "").trim());
+  const rankIdx0 = headers.indexOf("Standings");
+  const teamIdx0 = headers.indexOf("Team Name");
+  let totalIdx0 = headers.indexOf("Season Total");
+  if (totalIdx0 < 0) totalIdx0 = headers.indexOf("Points");
+  if (teamIdx0 < 0) throw new Error('Standings missing header "Team Name"');
+
+  const codeByHeader = new Map(events.map((ev) => [ev.eventHeader, ev.eventCode]));
+  const nonEventHeaders = new Set(["Standings", "Team Name", "Season Total", "Points"]);
+  const eventCols = [];
+  headers.forEach((h, idx0) => {
+    if (!h || nonEventHeaders.has(h)) return;
+    eventCols.push({ header: h, code: codeByHeader.get(h) || h, idx0 });
+  });
+
+  const rows = sh.getRange(2, 1, lastRow - 1, lastCol).getValues();
+  const teams = [];
+  for (const r of rows) {
+    const team = normalizeTeam_(String(r[teamIdx0] || "").trim());
+    if (!team || team === FREE_AGENT) continue;
+
+    const rawRank = rankIdx0 >= 0 ? Number(r[rankIdx0]) : NaN;
+    const total = totalIdx0 >= 0 ? Number(r[totalIdx0]) : 0;
+
+    const eventTotals = {};
+    for (const c of eventCols) {
+      const raw = r[c.idx0];
+      if (raw === "" || raw == null) continue;
+      const n = Number(raw);
+      if (isFinite(n)) eventTotals[c.code] = n;
+    }
+
+    teams.push({
+      rank: isFinite(rawRank) && rawRank > 0 ? rawRank : null,
+      team,
+      seasonTotal: isFinite(total) ? total : 0,
+      eventTotals,
+    });
+  }
+
+  teams.sort((a, b) => {
+    if (a.rank != null && b.rank != null) return a.rank - b.rank;
+    return b.seasonTotal - a.seasonTotal || a.team.localeCompare(b.team);
+  });
+  teams.forEach((t, i) => {
+    if (t.rank == null) t.rank = i + 1;
+  });
+
+  // Only surface events that have at least one team total (i.e. already played)
+  const played = eventCols
+    .filter((c) => teams.some((t) => t.eventTotals[c.code] != null))
+    .map((c) => ({ header: c.header, code: c.code }));
+
+  return { ok: true, mode: "season", events: played, teams };
+}
+
+/**
+ * Last `limit` Transactions rows for one PDGA, newest first.
+ */
+function loadRecentTransactionsForPdga_(ss, pdga, limit) {
+  const sh = ss.getSheetByName(SHEET_TRANSACTIONS);
+  if (!sh || sh.getLastRow() < 2) return [];
+
+  const vals = sh.getDataRange().getValues();
+  const c = transactionHeaderIndex_(vals[0].map((h) => String(h).trim()));
+
+  const tDate = c.date;
+  const tType = c.type;
+  const tTeam = c.team;
+  const tPdga = c.pdga;
+  const tFrom = c.from;
+  const tTo = c.to;
+  const tNotes = c.notes;
+  if (tType < 0 || tPdga < 0) return [];
+  const reversedIds = reversedTransactionIds_(vals, c);
+
+  const out = [];
+  for (let i = vals.length - 1; i >= 1 && out.length < limit; i--) {
+    if (String(vals[i][tPdga] || "").trim() !== pdga) continue;
+
+    const d = vals[i][tDate];
+    out.push({
+      date: d instanceof Date ? d.toISOString() : String(d || ""),
+      type: String(vals[i][tType] || "").trim().toUpperCase(),
+      team: tTeam >= 0 ? normalizeTeam_(vals[i][tTeam]) : "",
+      fromTeam: tFrom >= 0 ? normalizeTeam_(vals[i][tFrom]) : "",
+      toTeam: tTo >= 0 ? normalizeTeam_(vals[i][tTo]) : "",
+      notes: tNotes >= 0 ? String(vals[i][tNotes] || "").trim() : "",
+      reversed: c.id >= 0 && reversedIds.has(String(vals[i][c.id] || "").trim()),
+    });
+  }
+  return out;
+}
+
+/**
+ * Groups Transactions rows (vals incl. header, c from transactionHeaderIndex_) into moves.
+ * Rows sharing a GroupId form one move; legacy rows without one are joined by timestamp
+ * (a DROP followed by the same team's ADD, or consecutive TRADE legs).
+ * Returns [{ groupId, at, notes, submittedBy, legs, rows (sheet value indices), seq }] in sheet order.
+ */
+function groupTransactionMoves_(vals, c) {
+  const cell = (r, i) => (i >= 0 ? r[i] : "");
+  const reversedIds = reversedTransactionIds_(vals, c);
+  const moves = [];
+  const byGroupId = new Map();
+  let open = null; // last legacy (no GroupId) move, may absorb the next row
+
+  for (let i = 1; i < vals.length; i++) {
+    const r = vals[i];
+    const type = String(cell(r, c.type) || "").trim().toUpperCase();
+    if (!type) continue;
+
+    const d = cell(r, c.date);
+    const leg = {
+      type,
+      team: normalizeTeam_(cell(r, c.team)),
+      pdga: String(cell(r, c.pdga) || "").trim(),
+      name: String(cell(r, c.name) || "").trim(),
+      fromTeam: normalizeTeam_(cell(r, c.from)),
+      toTeam: normalizeTeam_(cell(r, c.to)),
+      transactionId: String(cell(r, c.id) || "").trim(),
+      reversesId: String(cell(r, c.reverses) || "").trim(),
+    };
+    leg.reversed = !!leg.transactionId && reversedIds.has(leg.transactionId);
+    const row = {
+      at: d instanceof Date ? d : new Date(d),
+      notes: String(cell(r, c.notes) || "").trim(),
+      submittedBy: String(cell(r, c.submittedBy) || "").trim(),
+      groupId: String(cell(r, c.groupId) || "").trim(),
+    };
+
+    let move = row.groupId ? byGroupId.get(row.groupId) : null;
+    if (!move && !row.groupId && open) {
+      const sameTime = open.at.getTime() === row.at.getTime();
+      const last = open.legs[open.legs.length - 1];
+      const swapPair = last.type === "DROP" && type === "ADD" && last.team === leg.team && open.legs.length === 1;
+      const tradeLeg = last.type === "TRADE" && type === "TRADE";
+      if (sameTime && (swapPair || tradeLeg)) move = open;
+    }
+
+    if (!move) {
+      move = { groupId: row.groupId, at: row.at, notes: row.notes, submittedBy: row.submittedBy, legs: [], rows: [], seq: i };
+      moves.push(move);
+      if (row.groupId) byGroupId.set(row.groupId, move);
+    }
+    move.legs.push(leg);
+    move.rows.push(i);
+    if (!move.notes) move.notes = row.notes;
+    if (!move.submittedBy) move.submittedBy = row.submittedBy;
+    open = row.groupId ? null : move;
+  }
+  return moves;
+}
+
+// ---- TRANSACTIONS_QUERY ----
+// Filters: team, pdga | player (name substring), fromDate/toDate (yyyy-MM-dd, inclusive).
+// Rows are grouped into logical moves by groupTransactionMoves_.
+function handleTransactionsQuery_(ss, data) {
+  const sh = ss.getSheetByName(SHEET_TRANSACTIONS);
+  if (!sh || sh.getLastRow() < 2) return { ok: true, total: 0, moves: [] };
+
+  const team = normalizeTeam_(data.team);
+  if (data.team && !team) return { ok: false, error: `Unknown team: ${data.team}` };
+  const pdga = String(data.pdga || "").trim();
+  const player = String(data.player || "").trim().toLowerCase();
+  const fromDate = String(data.fromDate || "").trim();
+  const toDate = String(data.toDate || "").trim();
+  for (const d of [fromDate, toDate]) {
+    if (d && !/^\d{4}-\d{2}-\d{2}$/.test(d)) return { ok: false, error: `Bad date (use YYYY-MM-DD): ${d}` };
+  }
+
+  const tz = Session.getScriptTimeZone();
+  const vals = sh.getDataRange().getValues();
+  const c = transactionHeaderIndex_(vals[0].map((h) => String(h).trim()));
+  if (c.type < 0 || c.pdga < 0) return { ok: false, error: "Transactions missing Type / Player PDGA # headers" };
+
+  const moves = groupTransactionMoves_(vals, c);
+
+  const matched = moves.filter((m) => {
+    const day = isNaN(m.at.getTime()) ? "" : Utilities.formatDate(m.at, tz, "yyyy-MM-dd");
+    if (fromDate && (!day || day < fromDate)) return false;
+    if (toDate && (!day || day > toDate)) return false;
+    if (team && !m.legs.some((l) => [l.team, l.fromTeam, l.toTeam].includes(team))) return false;
+    if (pdga && !m.legs.some((l) => l.pdga === pdga)) return false;
+    if (!pdga && player && !m.legs.some((l) => l.name.toLowerCase().includes(player))) return false;
+    return true;
+  });
+
+  matched.sort((a, b) => (b.at.getTime() || 0) - (a.at.getTime() || 0) || b.seq - a.seq);
+
+  const out = matched.slice(0, TRANSACTIONS_QUERY_MAX).map((m) => {
+    const types = new Set(m.legs.map((l) => l.type));
+    const kind = types.has("REVERSAL")
+      ? "REVERSAL"
+      : types.has("TRADE")
+        ? "TRADE"
+        : types.has("DROP") && types.has("ADD")
+          ? "SWAP"
+          : m.legs[0].type;
+    return {
+      groupId: m.groupId,
+      transactionId: m.legs[0].transactionId,
+      reversed: m.legs.every((l) => l.reversed),
+      date: isNaN(m.at.getTime()) ? "" : m.at.toISOString(),
+      kind,
+      team: m.legs[0].team,
+      notes: m.notes,
+      submittedBy: m.submittedBy,
+      legs: m.legs,
+    };
+  });
+
+  return { ok: true, total: matched.length, moves: out };
+}
+
+// ---- TRANSACTION_REVERSE (commissioner) ----
+// mode "preview" replays rosters without the target move and returns the difference;
+// mode "commit" appends one REVERSAL row per reversed row (ReversesId -> original) and rebuilds.
+// A row that belongs to a SWAP/trade reverses the whole move (grouped as in TRANSACTIONS_QUERY,
+// so older rows without a GroupId still reverse together).
+function handleTransactionReverse_(ss, data) {
+  const transactionId = String(data.transactionId || "").trim().toUpperCase();
+  const mode = String(data.mode || "preview").trim().toLowerCase();
+  const actor = adminActorForRequest_(data);
+  const notes = String(data.notes || "").trim();
+  if (!transactionId) return { ok: false, error: "Missing transactionId" };
+  if (!["preview", "commit"].includes(mode)) return { ok: false, error: `Unknown mode: ${mode}` };
+
+  const sh = mustGetSheet_(ss, SHEET_TRANSACTIONS);
+  ensureTransactionIds_(sh);
+  ensureHeaderColumn_(sh, "ReversesId");
+
+  const vals = sh.getDataRange().getValues();
+  const c = transactionHeaderIndex_(vals[0].map((h) => String(h).trim()));
+  const cell = (r, i) => (i >= 0 ? r[i] : "");
+  const reversedIds = reversedTransactionIds_(vals, c);
+
+  const target = vals.findIndex((r, i) => i > 0 && String(cell(r, c.id)).trim().toUpperCase() === transactionId);
+  if (target < 0) return { ok: false, error: `Transaction not found: ${transactionId}` };
+
+  const targetType = String(cell(vals[target], c.type) || "").trim().toUpperCase();
+  if (targetType === "REVERSAL") return { ok: false, error: "A REVERSAL can't itself be reversed." };
+  if (reversedIds.has(String(cell(vals[target], c.id)).trim())) {
+    return { ok: false, error: `${transactionId} has already been reversed.` };
+  }
+
+  const groupId = String(cell(vals[target], c.groupId) || "").trim();
+  const move = groupTransactionMoves_(vals, c).find((m) => m.rows.includes(target));
+  const rows = [];
+  for (const i of move ? move.rows : [target]) {
+    const id = String(cell(vals[i], c.id) || "").trim();
+    if (reversedIds.has(id)) continue;
+    rows.push({
+      id,
+      type: String(cell(vals[i], c.type) || "").trim().toUpperCase(),
+      team: normalizeTeam_(cell(vals[i], c.team)),
+      pdga: String(cell(vals[i], c.pdga) || "").trim(),
+      name: String(cell(vals[i], c.name) || "").trim(),
+      fromTeam: normalizeTeam_(cell(vals[i], c.from)),
+      toTeam: normalizeTeam_(cell(vals[i], c.to)),
+    });
+  }
+
+  const before = replayRosters_(ss);
+  const after = replayRosters_(ss, rows.map((r) => r.id));
+
+  const changes = [];
+  for (const pdga of new Set([...before.keys(), ...after.keys()])) {
+    const was = before.has(pdga) ? normalizeTeam_(before.get(pdga).team) || FREE_AGENT : FREE_AGENT;
+    const now = after.has(pdga) ? normalizeTeam_(after.get(pdga).team) || FREE_AGENT : FREE_AGENT;
+    if (was === now) continue;
+    const info = after.get(pdga) || before.get(pdga);
+    changes.push({ pdga, name: info.name, fromTeam: was, toTeam: now });
+  }
+
+  const teams = new Set();
+  for (const r of rows) [r.team, r.fromTeam, r.toTeam].forEach((t) => t && teams.add(t));
+  for (const ch of changes) [ch.fromTeam, ch.toTeam].forEach((t) => teams.add(t));
+  teams.delete(FREE_AGENT);
+
+  const rosterOf = (state, team) =>
+    Array.from(state.entries())
+      .filter(([, info]) => normalizeTeam_(info.team) === team)
+      .map(([pdga, info]) => ({ pdga, name: info.name }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+  const rosters = Array.from(teams)
+    .sort()
+    .map((team) => ({ team, before: rosterOf(before, team), after: rosterOf(after, team) }));
+
+  const warnings = rosters
+    .filter((r) => r.after.length > MAX_ROSTER)
+    .map((r) => `${r.team} would have ${r.after.length} players (max ${MAX_ROSTER}).`);
+  if (!changes.length) warnings.push("Reversing this move doesn't change any roster.");
+
+  const result = { ok: true, mode, transactionId, groupId, reversed: rows, changes, rosters, warnings };
+  if (mode === "preview") return result;
+
+  const reversalGroupId = newTransactionGroupId_("REV");
+  const ids = appendTransactionRows_(
+    sh,
+    rows.map((r) => ({
+      type: "REVERSAL",
+      team: r.team,
+      pdga: r.pdga,
+      name: r.name,
+      fromTeam: r.toTeam,
+      toTeam: r.fromTeam,
+      notes: notes ? `Reverses ${r.id}: ${notes}` : `Reverses ${r.id}`,
+      submittedBy: actor,
+      groupId: reversalGroupId,
+      reversesId: r.id,
+    }))
+  );
+  rebuildRosters();
+
+  return { ...result, reversalGroupId, reversalIds: ids };
+}
+
+/**
+ * Registration cells (✅ / WL #n / —) for one player from their MPO/FPO row,
+ * for every ScoringConfig event that hasn't ended yet.
+ */
+function loadUpcomingRegistrationForPdga_(ss, division, pdga, events) {
+  const sh = division ? ss.getSheetByName(division) : null;
+  if (!sh || sh.getLastRow() < 2) return [];
+
+  const lastCol = sh.getLastColumn();
+  const headers = sh.getRange(1, 1, 1, lastCol).getValues()[0].map((h) => String(h).trim());
+  const pdgaCol = findColumnIndexByHeader_(headers, ["PDGA #", "Player PDGA #", "PDGA", "PDGA#"], 3);
+
+  const pdgas = sh.getRange(2, pdgaCol, sh.getLastRow() - 1, 1).getValues();
+  const i = pdgas.findIndex((r) => String(r[0] || "").trim() === pdga);
+  if (i < 0) return [];
+
+  const row = sh.getRange(2 + i, 1, 1, lastCol).getValues()[0];
+  const today = asDateOnly_(new Date());
+
+  const out = [];
+  for (const ev of events) {
+    if (ev.endDate.getTime() < today.getTime()) continue;
+    const c = headers.indexOf(ev.eventHeader);
+    if (c < 0) continue;
+    out.push({
+      eventCode: ev.eventCode,
+      eventHeader: ev.eventHeader,
+      startDate: Utilities.formatDate(ev.startDate, Session.getScriptTimeZone(), "yyyy-MM-dd"),
+      status: String(row[c] || "").trim() || "—",
+    });
+  }
+  return out;
+}
+
+// ---- PLAYER_GET ----
+// Everything we know about one player: owner, points, registration, rank, recent moves.
+function handlePlayerGet_(ss, data) {
+  const pdga = String(data.pdga || "").trim();
+  if (!pdga) return { ok: false, error: "Missing pdga" };
+
+  const { ownerByPdga, rowsByTeam } = getOwnershipStateFromRosters_(ss);
+  const stats = loadPlayerPoolStatsByPdga_(mustGetSheet_(ss, SHEET_PLAYERPOOL));
+  const divInfo = loadDivisionPlayerInfo_(ss);
+
+  const st = stats.get(pdga);
+  const div = divInfo.get(pdga);
+  if (!st && !div) return { ok: false, error: `Player not found: PDGA ${pdga}` };
+
+  const owner = normalizeTeam_(ownerByPdga.get(pdga) || "") || FREE_AGENT;
+  const rosterRow = (rowsByTeam.get(owner) || []).find((p) => p.pdga === pdga);
+
+  let events = [];
+  try {
+    events = loadScoringConfig_(mustGetSheet_(ss, SHEET_SCORING_CONFIG));
+  } catch (e) {
+    events = [];
+  }
+  events.sort((a, b) => a.startDate.getTime() - b.startDate.getTime());
+
+  // Per-event points in schedule order; events not in ScoringConfig go last
+  const eventPts = st ? st.eventPts : {};
+  const known = new Set(events.map((ev) => ev.eventCode));
+  const eventPoints = [
+    ...events
+      .filter((ev) => eventPts[ev.eventCode] != null)
+      .map((ev) => ({ eventCode: ev.eventCode, eventHeader: ev.eventHeader, points: eventPts[ev.eventCode] })),
+    ...Object.keys(eventPts)
+      .filter((code) => !known.has(code))
+      .map((code) => ({ eventCode: code, eventHeader: code, points: eventPts[code] })),
+  ];
+
+  const division = (div && div.division) || (rosterRow && rosterRow.division) || "";
+
+  return {
+    ok: true,
+    pdga,
+    name: (st && st.name) || (div && div.name) || (rosterRow && rosterRow.name) || `PDGA ${pdga}`,
+    division,
+    rank: div ? div.rank : null,
+    owner,
+    source: rosterRow ? rosterRow.source : "",
+    seasonT: st ? st.seasonT : 0,
+    eventPoints,
+    registration: loadUpcomingRegistrationForPdga_(ss, division, pdga, events),
+    transactions: loadRecentTransactionsForPdga_(ss, pdga, 5),
+  };
+}
+
+/**
+ * One event column (✅ / WL #n / —) across both division tabs:
+ *   Map<pdga, status>
+ */
+function loadRegistrationStatusByPdga_(ss, eventHeader) {
+  const out = new Map();
+  const header = String(eventHeader || "").trim();
+  if (!header) return out;
+
+  for (const division of ["MPO", "FPO"]) {
+    const sh = ss.getSheetByName(division);
+    if (!sh || sh.getLastRow() < 2) continue;
+
+    const lastCol = sh.getLastColumn();
+    const headers = sh.getRange(1, 1, 1, lastCol).getValues()[0].map((h) => String(h).trim());
+    const c = headers.indexOf(header);
+    if (c < 0) continue;
+    const pdgaCol = findColumnIndexByHeader_(headers, ["PDGA #", "Player PDGA #", "PDGA", "PDGA#"], 3);
+
+    const rows = sh.getRange(2, 1, sh.getLastRow() - 1, lastCol).getValues();
+    for (const r of rows) {
+      const pdga = String(r[pdgaCol - 1] || "").trim();
+      if (pdga && !out.has(pdga)) out.set(pdga, String(r[c] || "").trim() || "—");
+    }
+  }
+  return out;
+}
+
+const FREE_AGENTS_QUERY_MAX = 200;
+
+// ---- FREE_AGENTS_QUERY ----
+// Filters: division (MPO|FPO), registeredNext (✅ or WL for the next event), maxRank (StatMando rank <= n)
+// Sort: "season" (Season_T, default) | "event" (eventCode's _T) | "rank"
+function handleFreeAgentsQuery_(ss, data) {
+  const division = String(data.division || "").trim().toUpperCase();
+  const registeredNext = coerceBool_(data.registeredNext);
+  const maxRank = Number(data.maxRank) > 0 ? Number(data.maxRank) : null;
+  const sort = String(data.sort || "season").trim().toLowerCase();
+  const eventCode = String(data.eventCode || "").trim().toUpperCase();
+  const limit = Math.min(Number(data.limit) > 0 ? Number(data.limit) : FREE_AGENTS_QUERY_MAX, FREE_AGENTS_QUERY_MAX);
+
+  if (division && division !== "MPO" && division !== "FPO") {
+    return { ok: false, error: `Unknown division: ${data.division}` };
+  }
+  if (!["season", "event", "rank"].includes(sort)) return { ok: false, error: `Unknown sort: ${data.sort}` };
+  if (sort === "event" && !eventCode) return { ok: false, error: "Sorting by event requires an eventCode." };
+
+  const { ownerByPdga, onWaivers } = getOwnershipStateFromRosters_(ss);
+  const stats = loadPlayerPoolStatsByPdga_(mustGetSheet_(ss, SHEET_PLAYERPOOL));
+  const divInfo = loadDivisionPlayerInfo_(ss);
+
+  const tz = Session.getScriptTimeZone();
+  const todayDateOnly = new Date(Utilities.formatDate(new Date(), tz, "yyyy/MM/dd") + " 00:00:00");
+  const { next } = getActiveAndNextEvents_(loadEnabledEventsSorted_(ss), todayDateOnly);
+  const regByPdga = next ? loadRegistrationStatusByPdga_(ss, next.eventHeader) : new Map();
+
+  if (registeredNext && !next) return { ok: false, error: "No upcoming event found in ScoringConfig." };
+
+  const players = [];
+  for (const [pdga, div] of divInfo.entries()) {
+    const owner = normalizeTeam_(ownerByPdga.get(pdga) || "");
+    if (owner && owner !== FREE_AGENT) continue;
+    if (division && div.division !== division) continue;
+    if (maxRank && (!div.rank || div.rank > maxRank)) continue;
+
+    const nextStatus = regByPdga.get(pdga) || "—";
+    if (registeredNext && nextStatus === "—") continue;
+
+    const st = stats.get(pdga);
+    players.push({
+      pdga,
+      name: div.name || (st && st.name) || `PDGA ${pdga}`,
+      division: div.division,
+      rank: div.rank,
+      seasonT: st ? st.seasonT : 0,
+      eventPts: eventCode && st ? Number(st.eventPts[eventCode] || 0) : null,
+      nextStatus,
+      onWaivers: onWaivers.has(pdga),
+    });
+  }
+
+  const byRank = (a, b) => (a.rank || Infinity) - (b.rank || Infinity);
+  if (sort === "rank") players.sort((a, b) => byRank(a, b) || b.seasonT - a.seasonT);
+  else if (sort === "event") players.sort((a, b) => b.eventPts - a.eventPts || b.seasonT - a.seasonT);
+  else players.sort((a, b) => b.seasonT - a.seasonT || byRank(a, b));
+
+  return {
+    ok: true,
+    total: players.length,
+    nextEvent: next ? { eventCode: next.eventCode, eventHeader: next.eventHeader } : null,
+    players: players.slice(0, limit),
+  };
+}
+
+/**
+ * Waiver + lineup-reminder dates derived from ScoringConfig:
+ *   waiver run   = EndDate + WAIVER_OFFSET_DAYS (Script Property, default 2)
+ *   reminder day = StartDate - LINEUP_REMINDER_OFFSET_DAYS (Script Property, default 1)
+ * Optional ScoringConfig columns WaiverDate / ReminderDate override a single event.
+ */
+const WAIVER_OFFSET_DAYS_DEFAULT = 2;
+const LINEUP_REMINDER_OFFSET_DAYS_DEFAULT = 1;
+
+function intScriptProp_(key, fallback) {
+  const raw = getScriptProp_(key);
+  const n = Number(raw);
+  return raw !== "" && isFinite(n) ? Math.round(n) : fallback;
+}
+
+function addDays_(dateOnly, days) {
+  const d = new Date(dateOnly.getTime());
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+// ---- SCHEDULE_GET ----
+function handleScheduleGet_(ss) {
+  const tz = Session.getScriptTimeZone();
+  const fmt = (d) => Utilities.formatDate(d, tz, "yyyy-MM-dd");
+
+  const waiverOffset = intScriptProp_("WAIVER_OFFSET_DAYS", WAIVER_OFFSET_DAYS_DEFAULT);
+  const reminderOffset = intScriptProp_("LINEUP_REMINDER_OFFSET_DAYS", LINEUP_REMINDER_OFFSET_DAYS_DEFAULT);
+
+  const events = loadEnabledEventsSorted_(ss);
+
+  // Per-event overrides (optional columns; blank = use the offset rule)
+  const overrides = new Map();
+  const cfgSh = mustGetSheet_(ss, SHEET_SCORING_CONFIG);
+  const idx = getHeaderIndexMap_(cfgSh);
+  if ((idx["WaiverDate"] != null || idx["ReminderDate"] != null) && cfgSh.getLastRow() >= 2) {
+    const rows = cfgSh.getRange(2, 1, cfgSh.getLastRow() - 1, cfgSh.getLastColumn()).getValues();
+    for (const r of rows) {
+      const code = String(r[idx["EventCode"]] || "").trim().toUpperCase();
+      if (!code) continue;
+      overrides.set(code, {
+        waiver: idx["WaiverDate"] != null ? asDateOnly_(r[idx["WaiverDate"]]) : null,
+        reminder: idx["ReminderDate"] != null ? asDateOnly_(r[idx["ReminderDate"]]) : null,
+      });
+    }
+  }
+
+  const waivers = [];
+  const reminders = [];
+  for (const ev of events) {
+    const o = overrides.get(ev.eventCode) || {};
+    const base = { eventCode: ev.eventCode, event: ev.eventHeader };
+    waivers.push({ ...base, date: fmt(o.waiver || addDays_(ev.endDate, waiverOffset)) });
+    reminders.push({
+      ...base,
+      date: fmt(o.reminder || addDays_(ev.startDate, -reminderOffset)),
+      startDate: fmt(ev.startDate), // ReminderDate overrides make the offset unreliable
+    });
+  }
+
+  return { ok: true, waiverOffsetDays: waiverOffset, reminderOffsetDays: reminderOffset, waivers, reminders };
+}
+
+/***********************
+ * 11C) ADMIN ACTIONS (bot /admin -> League Tools menu operations)
+ *
+ * Commissioner-only (see checkCommissionerForRequest_). Each returns a structured
+ * result for the bot to summarize; a thrown error becomes { ok:false, error }.
+ ***********************/
+
+function handleAdminAction_(ss, data) {
+  const action = String(data.action || "");
+  const eventCode = String(data.eventCode || "").trim().toUpperCase();
+  const needsEvent = ["ADMIN_LOCK_LINEUPS", "ADMIN_FINALIZE_LINEUPS", "ADMIN_RESET_TEAM_LOCK"];
+  if (needsEvent.includes(action) && !eventCode) return { ok: false, error: "Missing eventCode" };
+
+  try {
+    switch (action) {
+      case "ADMIN_REBUILD_ROSTERS":
+        return { ok: true, action, ...rebuildRosters() };
+      case "ADMIN_UPDATE_EVENTS":
+      case "ADMIN_RUN_SCORING":
+        return { ok: true, action, ...queueAdminJob_(action, adminActorForRequest_(data)) };
+      case "ADMIN_JOB_STATUS":
+        return adminJobStatus_(String(data.jobId || "").trim());
+      case "ADMIN_LOCK_LINEUPS":
+        return { ok: true, action, ...lockLineupsForEventCodeResult_(eventCode) };
+      case "ADMIN_FINALIZE_LINEUPS":
+        return { ok: true, action, ...finalizeLineupsForEventCode(eventCode) };
+      case "ADMIN_RESET_TEAM_LOCK":
+        return { ok: true, action, ...resetTeamLockForEventCode(eventCode) };
+      default:
+        return { ok: false, error: `Unknown admin action: ${action}` };
+    }
+  } catch (e) {
+    return { ok: false, action, error: String(e && e.message ? e.message : e) };
+  }
+}
+
+// Runs the nightly scorer and returns the ScoringLog rows it appended
+function runScoringWithLog_(ss) {
+  const logSh = mustGetOrCreateSheet_(ss, SHEET_SCORING_LOG, SCORING_LOG_HEADERS);
+  const before = logSh.getLastRow();
+
+  runScoringNow();
+  SpreadsheetApp.flush();
+
+  const after = logSh.getLastRow();
+  if (after <= before) return [];
+
+  const map = getHeaderIndexMap_(logSh);
+  return logSh
+    .getRange(before + 1, 1, after - before, logSh.getLastColumn())
+    .getValues()
+    .map((r) => ({
+      eventCode: String(r[map["EventCode"]] || ""),
+      division: String(r[map["Division"]] || ""),
+      round: String(r[map["Round"]] || ""),
+      status: String(r[map["Status"]] || ""),
+      message: String(r[map["Message"]] || ""),
+      written: Number(r[map["PlayersWritten"]] || 0),
+      skipped: Number(r[map["PlayersSkipped"]] || 0),
+    }));
+}
+
+// ---- Queued admin jobs ----
+// Registration refreshes and scoring run for minutes. Inside doPost they would hold the
+// script lock every bot write waits on, so they run from a one-off trigger instead. Each
+// job's state (QUEUED -> RUNNING -> DONE | FAILED, with the structured result) is kept
+// in the script cache under its jobId; the bot polls ADMIN_JOB_STATUS for the summary.
+const ADMIN_JOB_QUEUE_PROP = "ADMIN_JOB_QUEUE";
+const ADMIN_JOB_HANDLER = "runQueuedAdminJobs";
+const ADMIN_JOB_CACHE_SECONDS = 6 * 60 * 60;
+const ADMIN_JOB_MAX_ENTRIES = 200; // keeps a scoring result under the 100KB cache value cap
+
+function adminJobCacheKey_(jobId) {
+  return "adminjob:" + jobId;
+}
+
+function saveAdminJob_(job) {
+  CacheService.getScriptCache().put(adminJobCacheKey_(job.jobId), JSON.stringify(job), ADMIN_JOB_CACHE_SECONDS);
+}
+
+function queueAdminJob_(action, actor) {
+  const props = PropertiesService.getScriptProperties();
+  const queue = safeJson_(props.getProperty(ADMIN_JOB_QUEUE_PROP) || "[]", []);
+  const existing = queue.find((j) => j.action === action);
+  if (existing) return { queued: true, alreadyQueued: true, jobId: existing.jobId };
+
+  const job = {
+    jobId: "AJ-" + Utilities.getUuid().replace(/-/g, "").slice(0, 10).toUpperCase(),
+    action,
+    actor,
+    queuedAt: new Date().toISOString(),
+  };
+  queue.push(job);
+  props.setProperty(ADMIN_JOB_QUEUE_PROP, JSON.stringify(queue));
+  saveAdminJob_({ ...job, status: "QUEUED" });
+
+  const hasTrigger = ScriptApp.getProjectTriggers().some((t) => t.getHandlerFunction() === ADMIN_JOB_HANDLER);
+  if (!hasTrigger) ScriptApp.newTrigger(ADMIN_JOB_HANDLER).timeBased().after(1000).create();
+  return { queued: true, alreadyQueued: false, jobId: job.jobId };
+}
+
+// ---- ADMIN_JOB_STATUS ----
+function adminJobStatus_(jobId) {
+  if (!jobId) return { ok: false, error: "Missing jobId" };
+  const raw = CacheService.getScriptCache().get(adminJobCacheKey_(jobId));
+  if (!raw) return { ok: false, error: `Unknown or expired admin job: ${jobId}` };
+  return { ok: true, job: safeJson_(raw, {}) };
+}
+
+// Same structured result the action used to return from doPost
+function runAdminJob_(ss, action) {
+  if (action === "ADMIN_UPDATE_EVENTS") return { ok: true, action, ...updateAllEvents() };
+  if (action === "ADMIN_RUN_SCORING") {
+    const entries = runScoringWithLog_(ss);
+    return {
+      ok: true,
+      action,
+      entries: entries.slice(-ADMIN_JOB_MAX_ENTRIES),
+      omitted: Math.max(0, entries.length - ADMIN_JOB_MAX_ENTRIES),
+    };
+  }
+  throw new Error(`Unknown queued admin action: ${action}`);
+}
+
+// Trigger handler (public so ScriptApp can call it). Takes the queue under the lock, runs it without.
+function runQueuedAdminJobs() {
+  const ss = getSS_();
+  const log = ss.getSheetByName(SHEET_WEBHOOKLOG) || ss.insertSheet(SHEET_WEBHOOKLOG);
+  const props = PropertiesService.getScriptProperties();
+
+  const lock = LockService.getScriptLock();
+  lock.waitLock(25000);
+  let queue;
+  try {
+    queue = safeJson_(props.getProperty(ADMIN_JOB_QUEUE_PROP) || "[]", []);
+    props.deleteProperty(ADMIN_JOB_QUEUE_PROP);
+    for (const t of ScriptApp.getProjectTriggers()) {
+      if (t.getHandlerFunction() === ADMIN_JOB_HANDLER) ScriptApp.deleteTrigger(t);
+    }
+  } finally {
+    lock.releaseLock();
+  }
+
+  for (const job of queue) {
+    saveAdminJob_({ ...job, status: "RUNNING", startedAt: new Date().toISOString() });
+    try {
+      const result = runAdminJob_(ss, job.action);
+      saveAdminJob_({ ...job, status: "DONE", finishedAt: new Date().toISOString(), result });
+      log.appendRow([new Date(), "ADMIN_JOB_DONE", job.action, "", "", "", "", "", `${job.jobId} by=${job.actor}`]);
+    } catch (e) {
+      const msg = String(e && e.message ? e.message : e);
+      saveAdminJob_({
+        ...job,
+        status: "FAILED",
+        finishedAt: new Date().toISOString(),
+        result: { ok: false, action: job.action, error: msg },
+      });
+      log.appendRow([new Date(), "ADMIN_JOB_FAILED", job.action, "", "", "", "", "", `${job.jobId} by=${job.actor}: ${msg}`]);
+    }
+  }
+}
+
+/***********************
+ * 12) WEBAPP ENDPOINT (doPost) — patched for compliance
+ ***********************/
+
+// ---- Request idempotency (ProcessedRequests) ----
+// CacheService is the fast path; the sheet is the durable record once the cache entry expires.
+function processedRequestCacheKey_(requestId) {
+  return "req:" + sha256Hex_(requestId).slice(0, 40);
+}
+
+// Status: PENDING is written (and flushed) before the request runs; DONE or FAILED replaces it.
+// A PENDING row seen by a retry means the earlier execution died part-way through.
+const REQUEST_PENDING = "PENDING";
+const REQUEST_DONE = "DONE";
+const REQUEST_FAILED = "FAILED";
+
+function findProcessedRequestRow_(sh, requestId) {
+  if (!sh || sh.getLastRow() < 2) return 0;
+  const cId = getHeaderIndexMap_(sh)["RequestId"];
+  if (cId == null) return 0;
+
+  const cell = sh
+    .getRange(2, cId + 1, sh.getLastRow() - 1, 1)
+    .createTextFinder(requestId)
+    .matchEntireCell(true)
+    .findNext();
+  return cell ? cell.getRow() : 0;
+}
+
+function findProcessedRequest_(ss, requestId) {
+  const cache = CacheService.getScriptCache();
+  const hit = cache.get(processedRequestCacheKey_(requestId));
+  if (hit != null) return hit;
+
+  const sh = ss.getSheetByName(PROCESSED_REQUESTS_SHEET);
+  const row = findProcessedRequestRow_(sh, requestId);
+  if (!row) return null;
+
+  const idx = getHeaderIndexMap_(sh);
+  const cJson = idx["ResponseJson"];
+  const cStatus = idx["Status"];
+  if (cStatus != null && String(sh.getRange(row, cStatus + 1).getValue() || "").trim() === REQUEST_PENDING) {
+    return JSON.stringify({
+      ok: false,
+      error:
+        `Request ${requestId} was interrupted before it finished, so some rows may already be written. ` +
+        "Check /history before submitting it again.",
+    });
+  }
+  if (cJson == null) return null;
+
+  return String(sh.getRange(row, cJson + 1).getValue() || "") || null;
+}
+
+// Written before routing so a write that throws or an execution that is killed
+// still leaves a record that stops outbox retries from appending rows twice
+function markRequestPending_(ss, requestId, data) {
+  recordProcessedRequest_(ss, requestId, data, "", REQUEST_PENDING);
+  SpreadsheetApp.flush();
+}
+
+function recordProcessedRequest_(ss, requestId, data, responseJson, status = REQUEST_DONE) {
+  let stored = String(responseJson || "");
+  if (stored.length > PROCESSED_REQUEST_MAX_JSON) {
+    // Oversized payloads (bulk reads) keep only the verdict
+    const parsed = safeJson_(stored, {});
+    stored = JSON.stringify({ ok: !!parsed.ok, error: parsed.error || "", truncated: true });
+  }
+
+  const sh = mustGetOrCreateSheet_(ss, PROCESSED_REQUESTS_SHEET, PROCESSED_REQUESTS_HEADERS);
+  ensureHeaderColumn_(sh, "Status");
+  const values = [
+    requestId,
+    data.action || String(data.type || "").toUpperCase(),
+    normalizeTeam_(data.team || data.teamA || ""),
+    new Date(),
+    stored,
+    status,
+  ];
+
+  // The PENDING marker row is updated in place once the request settles
+  const row = findProcessedRequestRow_(sh, requestId);
+  if (row) {
+    const idx = getHeaderIndexMap_(sh);
+    PROCESSED_REQUESTS_HEADERS.forEach((h, i) => sh.getRange(row, idx[h] + 1).setValue(values[i]));
+  } else {
+    appendRows_(sh, [values]);
+  }
+  if (status === REQUEST_PENDING) return;
+
+  try {
+    CacheService.getScriptCache().put(
+      processedRequestCacheKey_(requestId),
+      stored,
+      PROCESSED_REQUEST_CACHE_SECONDS
+    );
+  } catch (e) {
+    Logger.log("ProcessedRequests cache put failed: " + (e && e.message ? e.message : e)); // sheet row still dedupes
+  }
+}
+
 function doPost(e) {
   const lock = LockService.getScriptLock();
   lock.waitLock(25000);
 
   const ss = getSS_();
   const log = ss.getSheetByName(SHEET_WEBHOOKLOG) || ss.insertSheet(SHEET_WEBHOOKLOG);
+  let requestId = "";
+  let requestData = null; // set once the PENDING marker is written
 
   try {
     const raw = e && e.postData && e.postData.contents ? e.postData.contents : "";
@@ -2396,180 +4995,530 @@ function doPost(e) {
     if (!expectedSecret) throw new Error("Server misconfig: missing Script Property TX_SECRET");
     if (data.secret !== expectedSecret) throw new Error("Unauthorized (bad secret)");
 
-    // WAIVERS
-    if (data && data.action === "WAIVER_RUN") {
-      log.appendRow([new Date(), "RECEIVED", "WAIVER_RUN", "", "", "", "", "", `cycleId=${data.cycleId || ""}`]);
-      return jsonResponse_(handleWaiverRun_(data));
+    // ✅ Retries (bot outbox) reuse their requestId: answer with the stored response instead
+    //    of re-validating / re-appending rows.
+    requestId = String(data.requestId || "").trim();
+    if (requestId) {
+      const prior = findProcessedRequest_(ss, requestId);
+      if (prior != null) {
+        log.appendRow([
+          new Date(),
+          "DUPLICATE",
+          data.action || String(data.type || "").toUpperCase(),
+          normalizeTeam_(data.team || data.teamA || ""),
+          "",
+          "",
+          "",
+          "",
+          `requestId=${requestId}`,
+        ]);
+        return ContentService.createTextOutput(prior).setMimeType(ContentService.MimeType.JSON);
+      }
+      markRequestPending_(ss, requestId, data);
+      requestData = data;
     }
 
-    if (data && data.action === "WAIVER_SUBMIT") {
-      log.appendRow([
-        new Date(),
-        "RECEIVED",
-        "WAIVER_SUBMIT",
-        normalizeTeam_(data.team),
-        "",
-        "",
-        "",
-        "",
-        `cycleId=${data.cycleId || ""}`,
-      ]);
-      return jsonResponse_(handleWaiverSubmit_(data));
+    const out = routeJsonRequest_(ss, log, data);
+    if (requestId) recordProcessedRequest_(ss, requestId, data, out.getContent());
+    return out;
+  } catch (err) {
+    log.appendRow([new Date(), "ERROR", String(err && err.message ? err.message : err)]);
+    const failed = { ok: false, error: String(err) };
+    if (requestData) {
+      try {
+        recordProcessedRequest_(ss, requestId, requestData, JSON.stringify(failed), REQUEST_FAILED);
+      } catch (e2) {
+        Logger.log("ProcessedRequests failure record error: " + (e2 && e2.message ? e2.message : e2)); // PENDING row still blocks retries
+      }
     }
+    return jsonResponse_(failed);
+  } finally {
+    lock.releaseLock();
+  }
+}
 
-    // LINEUP REMINDERS
-    if (data && data.action === "LINEUP_REMINDER_RUN") {
-      log.appendRow([
-        new Date(),
-        "RECEIVED",
-        "LINEUP_REMINDER_RUN",
-        "",
-        "",
-        "",
-        "",
-        "",
-        `cycleId=${data.cycleId || ""} event=${data.eventName || ""}`,
-      ]);
-      const res = handleLineupReminderRun_(ss, data);
-      return jsonResponse_(res);
-    }
+// JSON bot actions (secret already checked). Returns a TextOutput; throws bubble to doPost.
+function routeJsonRequest_(ss, log, data) {
+  // ✅ Admin actions must come from a commissioner (re-checked here, not just in the bot)
+  const commissionerError = checkCommissionerForRequest_(ss, data);
+  if (commissionerError) {
+    log.appendRow([
+      new Date(),
+      "REJECTED",
+      data.action,
+      "",
+      "",
+      "",
+      "",
+      "",
+      `NOT_COMMISSIONER by=${adminActorForRequest_(data)}: ${commissionerError}`,
+    ]);
+    return jsonResponse_({ ok: false, error: commissionerError });
+  }
 
-    // ALERT SUBSCRIPTIONS
-    if (data && data.action === "ALERTS_SET") {
-      log.appendRow([new Date(), "RECEIVED", "ALERTS_SET", normalizeTeam_(data.team), "", "", "", "", ""]);
-
-      const res = upsertAlertSubscription_(ss, {
-        team: data.team,
-        phoneE164: data.phoneE164,
-        enabled: coerceBool_(data.enabled),
-        freeAgents: coerceBool_(data.freeAgents),
-        waiverAwards: coerceBool_(data.waiverAwards),
-        withdrawals: coerceBool_(data.withdrawals),
-        lineupReminders: coerceBool_(data.lineupReminders),
-      });
+  // COMMISSIONERS
+  if (data && data.action === "COMMISSIONERS_GET") {
+    return jsonResponse_(handleCommissionersGet_(ss));
+  }
 
-      return jsonResponse_({ ok: true, ...res });
-    }
+  if (data && (data.action === "COMMISSIONERS_SET" || data.action === "COMMISSIONERS_REMOVE")) {
+    log.appendRow([
+      new Date(),
+      "RECEIVED",
+      data.action,
+      "",
+      "",
+      "",
+      "",
+      "",
+      `user=${data.discordUserId || ""} by=${data.updatedBy || ""}`,
+    ]);
+    return jsonResponse_(
+      data.action === "COMMISSIONERS_SET" ? handleCommissionersSet_(ss, data) : handleCommissionersRemove_(ss, data)
+    );
+  }
+
+  // TEAM MANAGERS
+  if (data && data.action === "MANAGERS_GET") {
+    return jsonResponse_(handleManagersGet_(ss));
+  }
+
+  if (data && data.action === "MANAGERS_SET") {
+    log.appendRow([
+      new Date(),
+      "RECEIVED",
+      "MANAGERS_SET",
+      normalizeTeam_(data.team),
+      "",
+      "",
+      "",
+      "",
+      `user=${data.discordUserId || ""} by=${data.updatedBy || ""}`,
+    ]);
+    return jsonResponse_(handleManagersSet_(ss, data));
+  }
+
+  if (data && data.action === "MANAGERS_REMOVE") {
+    log.appendRow([
+      new Date(),
+      "RECEIVED",
+      "MANAGERS_REMOVE",
+      "",
+      "",
+      "",
+      "",
+      "",
+      `user=${data.discordUserId || ""} by=${data.updatedBy || ""}`,
+    ]);
+    return jsonResponse_(handleManagersRemove_(ss, data));
+  }
+
+  // ✅ Team-scoped writes must come from that team's manager
+  const ownershipError = checkTeamOwnershipForRequest_(ss, data);
+  if (ownershipError) {
+    log.appendRow([
+      new Date(),
+      "REJECTED",
+      data.action || String(data.type || "").toUpperCase(),
+      normalizeTeam_(data.team || data.teamA),
+      "",
+      "",
+      "",
+      "",
+      `NOT_TEAM_MANAGER by=${data.submittedBy || data.proposedBy || ""}: ${ownershipError}`,
+    ]);
+    return jsonResponse_({ ok: false, error: ownershipError });
+  }
+
+  // ADMIN (/admin in the bot)
+  if (data && /^ADMIN_/.test(String(data.action || ""))) {
+    if (data.action === "ADMIN_JOB_STATUS") return jsonResponse_(handleAdminAction_(ss, data)); // bot polls; not logged
+    log.appendRow([
+      new Date(),
+      "RECEIVED",
+      data.action,
+      "",
+      "",
+      "",
+      "",
+      "",
+      `eventCode=${data.eventCode || ""} by=${adminActorForRequest_(data)}`,
+    ]);
+    return jsonResponse_(handleAdminAction_(ss, data));
+  }
+
+  // WAIVERS
+  if (data && data.action === "WAIVER_RUN") {
+    log.appendRow([
+      new Date(),
+      "RECEIVED",
+      "WAIVER_RUN",
+      "",
+      "",
+      "",
+      "",
+      "",
+      `cycleId=${data.cycleId || ""} by=${adminActorForRequest_(data)}`,
+    ]);
+    return jsonResponse_(handleWaiverRun_(data));
+  }
+
+  if (data && data.action === "WAIVER_AWARDS_SET_MESSAGE") {
+    log.appendRow([
+      new Date(),
+      "RECEIVED",
+      "WAIVER_AWARDS_SET_MESSAGE",
+      "",
+      "",
+      "",
+      "",
+      "",
+      `cycleId=${data.cycleId || ""}`,
+    ]);
+    return jsonResponse_(handleWaiverAwardsSetMessage_(data));
+  }
+
+  if (data && data.action === "WAIVER_SUBMIT") {
+    log.appendRow([
+      new Date(),
+      "RECEIVED",
+      "WAIVER_SUBMIT",
+      normalizeTeam_(data.team),
+      "",
+      "",
+      "",
+      "",
+      `cycleId=${data.cycleId || ""}`,
+    ]);
+    return jsonResponse_(handleWaiverSubmit_(data));
+  }
 
-    // TRANSACTIONS
-    const sh = ss.getSheetByName(SHEET_TRANSACTIONS);
-    if (!sh) throw new Error('Sheet "Transactions" not found');
+  if (data && data.action === "WAIVER_GET") {
+    return jsonResponse_(handleWaiverGet_(data));
+  }
 
-    const mode = String(data.mode || "").trim().toLowerCase(); // "validate" or "" (commit)
-    const date = data.date ? new Date(data.date) : new Date();
-    const type = String(data.type || "").trim().toUpperCase();
-    const notes = String(data.notes || "").trim();
+  if (data && data.action === "WAIVER_CANCEL") {
+    log.appendRow([
+      new Date(),
+      "RECEIVED",
+      "WAIVER_CANCEL",
+      normalizeTeam_(data.team),
+      "",
+      "",
+      "",
+      "",
+      `cycleId=${data.cycleId || ""} by=${data.submittedBy || ""}`,
+    ]);
+    return jsonResponse_(handleWaiverCancel_(data));
+  }
+
+  // LINEUP REMINDERS
+  if (data && data.action === "LINEUP_REMINDER_RUN") {
+    log.appendRow([
+      new Date(),
+      "RECEIVED",
+      "LINEUP_REMINDER_RUN",
+      "",
+      "",
+      "",
+      "",
+      "",
+      `cycleId=${data.cycleId || ""} event=${data.eventName || ""}`,
+    ]);
+    const res = handleLineupReminderRun_(ss, data);
+    return jsonResponse_(res);
+  }
+
+  // LINEUPS
+  if (data && data.action === "LINEUP_SUBMIT") {
+    log.appendRow([
+      new Date(),
+      "RECEIVED",
+      "LINEUP_SUBMIT",
+      normalizeTeam_(data.team),
+      "",
+      "",
+      "",
+      "",
+      `submittedBy=${data.submittedBy || ""}`,
+    ]);
+    return jsonResponse_(handleLineupSubmit_(ss, data));
+  }
+
+  // ALERT SUBSCRIPTIONS
+  if (data && data.action === "ALERTS_SET") {
+    log.appendRow([
+      new Date(),
+      "RECEIVED",
+      "ALERTS_SET",
+      normalizeTeam_(data.team),
+      "",
+      "",
+      "",
+      "",
+      `submittedBy=${data.submittedBy || ""}`,
+    ]);
 
-    const team = normalizeTeam_(data.team);
-    const fromTeam = normalizeTeam_(data.fromTeam);
-    const toTeam = normalizeTeam_(data.toTeam);
+    const res = upsertAlertSubscription_(ss, {
+      team: data.team,
+      phoneE164: data.phoneE164,
+      enabled: coerceBool_(data.enabled),
+      freeAgents: coerceBool_(data.freeAgents),
+      waiverAwards: coerceBool_(data.waiverAwards),
+      withdrawals: coerceBool_(data.withdrawals),
+      lineupReminders: coerceBool_(data.lineupReminders),
+    });
 
-    const dropPdga = String(data.dropPdga || "").trim();
-    const dropName = String(data.dropName || "").trim();
-    const addPdga = String(data.addPdga || "").trim();
-    const addName = String(data.addName || "").trim();
+    return jsonResponse_({ ok: true, ...res });
+  }
 
-    const pdga = String(data.pdga || "").trim();
-    const name = String(data.name || "").trim();
+  // BOT QUERIES (read-only)
+  if (data && data.action === "TEAMS_GET") {
+    return jsonResponse_(handleTeamsGet_(data));
+  }
 
-    if (!type || !team) throw new Error(`Missing required fields. type=${type} team=${team}`);
+  if (data && data.action === "OWNERSHIP_GET") {
+    return jsonResponse_(handleOwnershipGet_(ss));
+  }
 
-    // Log received
-    if (type === "SWAP") {
-      log.appendRow([
-        new Date(),
-        "RECEIVED",
-        type,
-        team,
-        dropPdga,
-        dropName,
-        team,
-        FREE_AGENT,
-        `add=${addName} (${addPdga})${mode ? " mode=" + mode : ""}`,
-      ]);
-    } else {
-      log.appendRow([
-        new Date(),
-        "RECEIVED",
-        type,
-        team,
-        pdga,
-        name,
-        fromTeam,
-        toTeam,
-        mode ? `mode=${mode}` : "",
-      ]);
-    }
+  if (data && data.action === "SCHEDULE_GET") {
+    return jsonResponse_(handleScheduleGet_(ss));
+  }
 
-    // Validate
-    const verdict = validateTransaction_(
-      ss,
-      type === "SWAP"
-        ? { type, team, dropPdga, dropName, addPdga, addName }
-        : { type, team, pdga, name, fromTeam, toTeam }
-    );
+  if (data && data.action === "ROSTER_GET") {
+    log.appendRow([new Date(), "RECEIVED", "ROSTER_GET", normalizeTeam_(data.team), "", "", "", "", ""]);
+    return jsonResponse_(handleRosterGet_(ss, data));
+  }
 
+  if (data && data.action === "PLAYER_GET") {
+    log.appendRow([new Date(), "RECEIVED", "PLAYER_GET", "", String(data.pdga || ""), "", "", "", ""]);
+    return jsonResponse_(handlePlayerGet_(ss, data));
+  }
+
+  if (data && data.action === "TRANSACTION_REVERSE") {
+    log.appendRow([
+      new Date(),
+      "RECEIVED",
+      "TRANSACTION_REVERSE",
+      "",
+      "",
+      "",
+      "",
+      "",
+      `id=${data.transactionId || ""} mode=${data.mode || "preview"} by=${adminActorForRequest_(data)}`,
+    ]);
+    return jsonResponse_(handleTransactionReverse_(ss, data));
+  }
+
+  if (data && data.action === "TRANSACTIONS_QUERY") {
+    log.appendRow([
+      new Date(),
+      "RECEIVED",
+      "TRANSACTIONS_QUERY",
+      normalizeTeam_(data.team),
+      String(data.pdga || ""),
+      String(data.player || ""),
+      "",
+      "",
+      `from=${data.fromDate || ""} to=${data.toDate || ""}`,
+    ]);
+    return jsonResponse_(handleTransactionsQuery_(ss, data));
+  }
+
+  if (data && data.action === "FREE_AGENTS_QUERY") {
+    log.appendRow([
+      new Date(),
+      "RECEIVED",
+      "FREE_AGENTS_QUERY",
+      "",
+      "",
+      "",
+      "",
+      "",
+      `division=${data.division || ""} sort=${data.sort || ""} event=${data.eventCode || ""}`,
+    ]);
+    return jsonResponse_(handleFreeAgentsQuery_(ss, data));
+  }
+
+  if (data && data.action === "STANDINGS_GET") {
+    log.appendRow([new Date(), "RECEIVED", "STANDINGS_GET", "", "", "", "", "", `event=${data.eventCode || ""}`]);
+    return jsonResponse_(handleStandingsGet_(ss, data));
+  }
+
+  // TRADES (multi-player)
+  if (data && data.action === "TRADE_BATCH") {
+    const batchMode = String(data.mode || "").trim().toLowerCase();
+    const legCount = Array.isArray(data.legs) ? data.legs.length : 0;
+    log.appendRow([
+      new Date(),
+      "RECEIVED",
+      "TRADE_BATCH",
+      "",
+      "",
+      "",
+      "",
+      "",
+      `legs=${legCount}${batchMode ? " mode=" + batchMode : ""}`,
+    ]);
+
+    // Validate-only: trades commit through TRADE_PROPOSE + TRADE_PROPOSAL_RESPOND, which
+    // check that both managers agreed. A direct commit here would skip that check.
+    if (batchMode !== "validate") {
+      log.appendRow([new Date(), "REJECTED", "TRADE_BATCH", "", "", "", "", "", `mode=${batchMode || "commit"}`]);
+      return jsonResponse_({
+        ok: false,
+        error: 'TRADE_BATCH only supports mode "validate". Use TRADE_PROPOSE to submit a trade.',
+      });
+    }
+
+    const verdict = validateTradeBatch_(ss, data);
     if (!verdict.ok) {
-      log.appendRow([
-        new Date(),
-        "VALIDATION_FAIL",
-        type,
-        team,
-        pdga || dropPdga,
-        name || dropName,
-        fromTeam,
-        toTeam,
-        verdict.errors.join(" | "),
-      ]);
+      log.appendRow([new Date(), "VALIDATION_FAIL", "TRADE_BATCH", "", "", "", "", "", verdict.errors.join(" | ")]);
       return jsonResponse_({ ok: false, errors: verdict.errors, details: verdict.details });
     }
 
-    if (mode === "validate") {
-      log.appendRow([new Date(), "VALIDATION_OK", type, team, pdga || dropPdga, name || dropName, fromTeam, toTeam, ""]);
-      return jsonResponse_({ ok: true, details: verdict.details });
-    }
+    log.appendRow([new Date(), "VALIDATION_OK", "TRADE_BATCH", "", "", "", "", "", `legs=${legCount}`]);
+    return jsonResponse_({ ok: true, details: verdict.details });
+  }
+
+  // TRADE PROPOSALS
+  if (data && data.action === "TRADE_PROPOSE") {
+    log.appendRow([
+      new Date(),
+      "RECEIVED",
+      "TRADE_PROPOSE",
+      normalizeTeam_(data.teamA),
+      "",
+      "",
+      "",
+      "",
+      `proposedBy=${data.proposedBy || ""}`,
+    ]);
+    return jsonResponse_(handleTradePropose_(ss, data));
+  }
 
-    // Commit
-    if (type === "SWAP") {
-      sh.appendRow([date, "DROP", team, dropPdga, dropName, team, FREE_AGENT, notes]);
-      sh.appendRow([date, "ADD", team, addPdga, addName, FREE_AGENT, team, notes]);
-      SpreadsheetApp.flush();
+  if (data && data.action === "TRADE_PROPOSAL_SET_MESSAGE") {
+    return jsonResponse_(handleTradeProposalSetMessage_(ss, data));
+  }
 
-      try {
-        const smsBudget = newSmsBudget_();
-        sendFreeAgentDropAlerts_(ss, {
-          droppedByTeam: team,
-          playerName: dropName,
-          playerPdga: dropPdga,
-          budget: smsBudget,
-        });
-      } catch (e4) {
-        Logger.log("FreeAgentDrop SMS error: " + (e4 && e4.message ? e4.message : e4));
-      }
+  if (data && data.action === "TRADE_PROPOSAL_RESPOND") {
+    log.appendRow([
+      new Date(),
+      "RECEIVED",
+      "TRADE_PROPOSAL_RESPOND",
+      "",
+      "",
+      "",
+      "",
+      "",
+      `proposalId=${data.proposalId || ""} response=${data.response || ""} by=${data.respondedBy || ""}`,
+    ]);
+    return jsonResponse_(handleTradeProposalRespond_(ss, log, data));
+  }
 
-      log.appendRow([new Date(), "BEFORE_REBUILD"]);
-      rebuildRosters();
-      SpreadsheetApp.flush();
-      log.appendRow([new Date(), "AFTER_REBUILD"]);
+  if (data && data.action === "TRADE_PROPOSALS_EXPIRE") {
+    return jsonResponse_(handleTradeProposalsExpire_(ss));
+  }
 
-      return jsonResponse_({ ok: true });
-    }
+  // TRANSACTIONS
+  const sh = ss.getSheetByName(SHEET_TRANSACTIONS);
+  if (!sh) throw new Error('Sheet "Transactions" not found');
+
+  const mode = String(data.mode || "").trim().toLowerCase(); // "validate" or "" (commit)
+  const date = data.date ? new Date(data.date) : new Date();
+  const type = String(data.type || "").trim().toUpperCase();
+  const notes = String(data.notes || "").trim();
+  const submittedBy = String(data.submittedBy || "").trim();
+
+  const team = normalizeTeam_(data.team);
+  const fromTeam = normalizeTeam_(data.fromTeam);
+  const toTeam = normalizeTeam_(data.toTeam);
+
+  const dropPdga = String(data.dropPdga || "").trim();
+  const dropName = String(data.dropName || "").trim();
+  const addPdga = String(data.addPdga || "").trim();
+  const addName = String(data.addName || "").trim();
+
+  const pdga = String(data.pdga || "").trim();
+  const name = String(data.name || "").trim();
+
+  if (!type || !team) throw new Error(`Missing required fields. type=${type} team=${team}`);
+
+  // Log received
+  if (type === "SWAP") {
+    log.appendRow([
+      new Date(),
+      "RECEIVED",
+      type,
+      team,
+      dropPdga,
+      dropName,
+      team,
+      FREE_AGENT,
+      `add=${addName} (${addPdga})${mode ? " mode=" + mode : ""}`,
+    ]);
+  } else {
+    log.appendRow([
+      new Date(),
+      "RECEIVED",
+      type,
+      team,
+      pdga,
+      name,
+      fromTeam,
+      toTeam,
+      mode ? `mode=${mode}` : "",
+    ]);
+  }
+
+  // Validate
+  const verdict = validateTransaction_(
+    ss,
+    type === "SWAP"
+      ? { type, team, dropPdga, dropName, addPdga, addName, submittedBy, lockOverride: data.lockOverride }
+      : { type, team, pdga, name, fromTeam, toTeam, submittedBy, lockOverride: data.lockOverride }
+  );
+
+  if (!verdict.ok) {
+    log.appendRow([
+      new Date(),
+      "VALIDATION_FAIL",
+      type,
+      team,
+      pdga || dropPdga,
+      name || dropName,
+      fromTeam,
+      toTeam,
+      verdict.errors.join(" | "),
+    ]);
+    return jsonResponse_({ ok: false, errors: verdict.errors, details: verdict.details });
+  }
 
-    sh.appendRow([date, type, team, pdga, name, fromTeam, toTeam, notes]);
+  if (mode === "validate") {
+    log.appendRow([new Date(), "VALIDATION_OK", type, team, pdga || dropPdga, name || dropName, fromTeam, toTeam, ""]);
+    return jsonResponse_({ ok: true, details: verdict.details });
+  }
+
+  // Commit
+  if (type === "SWAP") {
+    const groupId = newTransactionGroupId_("SWAP");
+    const [, addTxId] = appendTransactionRows_(sh, [
+      { date, type: "DROP", team, pdga: dropPdga, name: dropName, fromTeam: team, toTeam: FREE_AGENT, notes, submittedBy, groupId },
+      { date, type: "ADD", team, pdga: addPdga, name: addName, fromTeam: FREE_AGENT, toTeam: team, notes, submittedBy, groupId },
+    ]);
     SpreadsheetApp.flush();
+    markWaiverAwardClaimed_(ss, addPdga, team, addTxId);
 
-    if (type === "DROP") {
-      try {
-        const smsBudget = newSmsBudget_();
-        sendFreeAgentDropAlerts_(ss, {
-          droppedByTeam: team,
-          playerName: name,
-          playerPdga: pdga,
-          budget: smsBudget,
-        });
-      } catch (e5) {
-        Logger.log("FreeAgentDrop SMS error: " + (e5 && e5.message ? e5.message : e5));
-      }
+    try {
+      const smsBudget = newSmsBudget_();
+      sendFreeAgentDropAlerts_(ss, {
+        droppedByTeam: team,
+        playerName: dropName,
+        playerPdga: dropPdga,
+        budget: smsBudget,
+      });
+    } catch (e4) {
+      Logger.log("FreeAgentDrop SMS error: " + (e4 && e4.message ? e4.message : e4));
     }
 
     log.appendRow([new Date(), "BEFORE_REBUILD"]);
@@ -2578,12 +5527,32 @@ function doPost(e) {
     log.appendRow([new Date(), "AFTER_REBUILD"]);
 
     return jsonResponse_({ ok: true });
-  } catch (err) {
-    log.appendRow([new Date(), "ERROR", String(err && err.message ? err.message : err)]);
-    return jsonResponse_({ ok: false, error: String(err) });
-  } finally {
-    lock.releaseLock();
   }
+
+  const [txId] = appendTransactionRows_(sh, [{ date, type, team, pdga, name, fromTeam, toTeam, notes, submittedBy }]);
+  SpreadsheetApp.flush();
+  if (type === "ADD") markWaiverAwardClaimed_(ss, pdga, toTeam || team, txId);
+
+  if (type === "DROP") {
+    try {
+      const smsBudget = newSmsBudget_();
+      sendFreeAgentDropAlerts_(ss, {
+        droppedByTeam: team,
+        playerName: name,
+        playerPdga: pdga,
+        budget: smsBudget,
+      });
+    } catch (e5) {
+      Logger.log("FreeAgentDrop SMS error: " + (e5 && e5.message ? e5.message : e5));
+    }
+  }
+
+  log.appendRow([new Date(), "BEFORE_REBUILD"]);
+  rebuildRosters();
+  SpreadsheetApp.flush();
+  log.appendRow([new Date(), "AFTER_REBUILD"]);
+
+  return jsonResponse_({ ok: true });
 }
 
 /**
@@ -2764,11 +5733,28 @@ function autoLockLineupsForEventCodeSafe_(ss, eventCode) {
   const eventHeader = getEventHeaderForCode_(code);
   const now = new Date();
   const teams = canonTeamsNoFA_();
+  const { ownerByPdga } = getOwnershipStateFromRosters_(ss);
 
   let lockedCount = 0;
+  const locked = [];
   const skipped = [];
 
   for (const team of teams) {
+    // Discord-submitted lineups (LINEUP_SUBMIT) take precedence over the Team tab dropdowns
+    const discord = findDiscordLineup_(lineupsSh, code, team);
+    if (discord) {
+      const notOwned = discord.pdgas.find((pdga) => normalizeTeam_(ownerByPdga.get(pdga) || "") !== team);
+      if (notOwned) {
+        skipped.push({ team, reason: `Discord lineup PDGA ${notOwned} not on roster` });
+        continue;
+      }
+
+      upsertLineupsRow_(lineupsSh, buildDiscordLockedLineupRow_(code, eventHeader, team, discord, now, "AutoLockNightly"));
+      lockedCount++;
+      locked.push(team);
+      continue;
+    }
+
     const teamSh = getTeamSheetForCanon_(ss, team);
     if (!teamSh) {
       skipped.push({ team, reason: "Missing team tab" });
@@ -2829,9 +5815,10 @@ function autoLockLineupsForEventCodeSafe_(ss, eventCode) {
     });
 
     lockedCount++;
+    locked.push(team);
   }
 
-  return { ok: true, eventCode: code, lockedCount, skipped };
+  return { ok: true, eventCode: code, lockedCount, locked, skipped };
 }
 
 /**
@@ -2840,7 +5827,6 @@ function autoLockLineupsForEventCodeSafe_(ss, eventCode) {
  */
 function sortStandingsByScoreDesc_() {
   const ss = getSS_();
-  const SHEET_STANDINGS = "Standings";
   const sh = mustGetSheet_(ss, SHEET_STANDINGS);
 
   const headers = sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0].map(h => String(h || "").trim());
@@ -3451,20 +6437,7 @@ function ensureOrCreatePlayerPoolColumn_(playerPoolSh, headerName) {
   const header = String(headerName || "").trim();
   if (!header) throw new Error("ensureOrCreatePlayerPoolColumn_: headerName required");
 
-  const lastCol = Math.max(1, playerPoolSh.getLastColumn());
-  const headers = playerPoolSh
-    .getRange(1, 1, 1, lastCol)
-    .getValues()[0]
-    .map((h) => String(h || "").trim());
-
-  const existingIdx0 = headers.indexOf(header);
-  if (existingIdx0 >= 0) return existingIdx0 + 1; // 1-based col
-
-  // Append new header at far right
-  const newColIdx1 = headers.length + 1;
-  playerPoolSh.getRange(1, newColIdx1).setValue(header);
-
-  return newColIdx1;
+  return ensureHeaderColumn_(playerPoolSh, header); // 1-based col
 }
 
 /**
@@ -3816,7 +6789,11 @@ function lockTeamEventColumnToScoring_(ss, eventCode, eventHeader) {
 function resetTeamLockForEventCode(eventCode) {
   const code = String(eventCode || "").trim().toUpperCase();
   if (!code) throw new Error("resetTeamLockForEventCode: eventCode required");
-  PropertiesService.getScriptProperties().deleteProperty(`TEAMCOL_LOCKED_${code}`);
+  const props = PropertiesService.getScriptProperties();
+  const key = `TEAMCOL_LOCKED_${code}`;
+  const wasLocked = props.getProperty(key) === "1";
+  props.deleteProperty(key);
+  return { eventCode: code, wasLocked };
 }
 
 /***********************
@@ -4045,19 +7022,6 @@ const LINEUP_HISTORY_HEADERS = [
 ];
 
 // Reverse map: Canonical team name -> team tab code
-const TEAM_TABCODE_BY_CANON = {
-  "Sir Krontzalot": "SIR",
-  "Exalted Evil": "EXA",
-  "Tree Ninja Disc Golf": "TRE",
-  "The Abba Zabba": "THE",
-  "Ryan Morgan": "RYA",
-  "SPY Dyes": "SPY",
-  "Eddie Speidel": "EDD",
-  "Webb Webb Webb": "WEB",
-  "Hughes Moves": "HUG",
-  "Matthew Lopez": "MAT",
-};
-
 function ensureLineupSheets_() {
   const ss = getSS_();
   mustGetOrCreateSheet_(ss, SHEET_LINEUPS, LINEUPS_HEADERS);
@@ -4067,7 +7031,9 @@ function ensureLineupSheets_() {
 }
 
 function canonTeamsNoFA_() {
-  return CANON_TEAMS.filter((t) => t && String(t).trim() && t !== FREE_AGENT);
+  return loadTeamRegistry_()
+    .teams.filter((t) => t.active)
+    .map((t) => t.name);
 }
 
 function getTeamSheetForCanon_(ss, canonTeam) {
@@ -4076,7 +7042,7 @@ function getTeamSheetForCanon_(ss, canonTeam) {
   if (sh) return sh;
 
   // Then try your actual code tabs: SIR/EXA/...
-  const code = TEAM_TABCODE_BY_CANON[canonTeam];
+  const code = teamTabCode_(canonTeam);
   if (code) {
     sh = ss.getSheetByName(code);
     if (sh) return sh;
@@ -4085,7 +7051,7 @@ function getTeamSheetForCanon_(ss, canonTeam) {
   // Last resort: normalize + try again
   const norm = normalizeTeam_(canonTeam);
   if (norm && norm !== canonTeam) {
-    sh = ss.getSheetByName(norm) || ss.getSheetByName(TEAM_TABCODE_BY_CANON[norm] || "");
+    sh = ss.getSheetByName(norm) || ss.getSheetByName(teamTabCode_(norm) || "");
     if (sh) return sh;
   }
 
@@ -4195,6 +7161,143 @@ function upsertLineupsRow_(lineupsSh, rowObj) {
   }
 }
 
+/**
+ * Returns the Discord-submitted lineup for EventCode + Team (SUBMITTED, or LOCKED with origin=Discord),
+ * or null if the team's lineup should come from the Team tab.
+ */
+function findDiscordLineup_(lineupsSh, eventCode, team) {
+  const rowNum = findLineupsRow_(lineupsSh, eventCode, team);
+  if (rowNum < 0) return null;
+
+  const map = getHeaderIndexMap_(lineupsSh);
+  const r = lineupsSh.getRange(rowNum, 1, 1, lineupsSh.getLastColumn()).getValues()[0];
+
+  const status = String(r[map["Status"]] || "").trim().toUpperCase();
+  const meta = safeJson_(String(map["MetaJson"] != null ? r[map["MetaJson"]] || "" : ""), {});
+  if (meta.origin !== "Discord") return null;
+  if (status !== "SUBMITTED" && status !== "LOCKED") return null;
+
+  const pdgas = [];
+  const names = [];
+  for (let i = 1; i <= 6; i++) {
+    pdgas.push(String(r[map[`Slot${i}_PDGA`]] || "").trim());
+    names.push(String(r[map[`Slot${i}_Name`]] || "").trim());
+  }
+  if (pdgas.some((p) => !p)) return null;
+
+  return { status, pdgas, names, submittedBy: String(meta.submittedBy || "") };
+}
+
+function buildDiscordLockedLineupRow_(eventCode, eventHeader, team, discord, now, source) {
+  const { pdgas, names } = discord;
+  return {
+    EventCode: eventCode,
+    EventHeader: eventHeader,
+    Team: team,
+    Status: "LOCKED",
+    SubmittedAt: now,
+    LockedAt: now,
+    FinalizedAt: "",
+    Slot1_Name: names[0], Slot1_PDGA: pdgas[0],
+    Slot2_Name: names[1], Slot2_PDGA: pdgas[1],
+    Slot3_Name: names[2], Slot3_PDGA: pdgas[2],
+    Slot4_Name: names[3], Slot4_PDGA: pdgas[3],
+    Slot5_Name: names[4], Slot5_PDGA: pdgas[4],
+    Slot6_Name: names[5], Slot6_PDGA: pdgas[5],
+    MetaJson: JSON.stringify({ source, origin: "Discord", submittedBy: discord.submittedBy }),
+  };
+}
+
+/**
+ * Current lineup event = the active event today, else the next upcoming one.
+ * (Same rule scoreNightlyPdgaLive uses to stage J15 on the Team tabs.)
+ */
+function getCurrentLineupEvent_(ss) {
+  const tz = Session.getScriptTimeZone();
+  const todayDateOnly = new Date(Utilities.formatDate(new Date(), tz, "yyyy/MM/dd") + " 00:00:00");
+  const { active, next } = getActiveAndNextEvents_(loadEnabledEventsSorted_(ss), todayDateOnly);
+  return active[0] || next || null;
+}
+
+// ---- LINEUP_SUBMIT ----
+function handleLineupSubmit_(ss, data) {
+  ensureLineupSheets_();
+
+  const team = normalizeTeam_(data.team);
+  const submittedBy = String(data.submittedBy || "").trim();
+  const picks = Array.isArray(data.picks) ? data.picks : [];
+
+  if (!team || team === FREE_AGENT) return { ok: false, error: `Unknown team: ${data.team || ""}` };
+
+  const ev = getCurrentLineupEvent_(ss);
+  if (!ev) return { ok: false, error: "No current or upcoming event found in ScoringConfig." };
+
+  const code = ev.eventCode;
+  const requested = String(data.eventCode || "").trim().toUpperCase();
+  if (requested && requested !== code) {
+    return { ok: false, error: `Lineups are open for ${code}, not ${requested}.` };
+  }
+
+  const { ownerByPdga } = getOwnershipStateFromRosters_(ss);
+  const poolSh = mustGetSheet_(ss, SHEET_PLAYERPOOL);
+
+  const bySlot = new Map();
+  const seenPdga = new Set();
+  for (const p of picks) {
+    const slot = Number(p.slot);
+    const pdga = String(p.pdga || "").trim();
+    if (!slot || slot < 1 || slot > 6) return { ok: false, error: `Invalid slot: ${p.slot} (must be 1-6)` };
+    if (!pdga) return { ok: false, error: `Slot ${slot} is missing a PDGA #` };
+    if (bySlot.has(slot)) return { ok: false, error: `Duplicate slot submitted: ${slot}` };
+    if (seenPdga.has(pdga)) return { ok: false, error: `Duplicate player submitted: ${p.name || pdga} (${pdga})` };
+
+    const owner = normalizeTeam_(ownerByPdga.get(pdga) || "");
+    if (owner !== team) {
+      return {
+        ok: false,
+        error: `${p.name || pdga} (${pdga}) is not on ${team}'s roster. Current owner: ${owner || FREE_AGENT}.`,
+      };
+    }
+
+    seenPdga.add(pdga);
+    bySlot.set(slot, { slot, pdga, name: String(p.name || "").trim() || getPlayerPoolNameByPdga_(poolSh, pdga) });
+  }
+
+  if (bySlot.size !== 6) return { ok: false, error: `Lineup must have exactly 6 players (found ${bySlot.size}).` };
+
+  const lineupsSh = mustGetSheet_(ss, SHEET_LINEUPS);
+  const existingRow = findLineupsRow_(lineupsSh, code, team);
+  if (existingRow > 0) {
+    const map = getHeaderIndexMap_(lineupsSh);
+    const status = String(lineupsSh.getRange(existingRow, map["Status"] + 1).getValue() || "").trim().toUpperCase();
+    if (status === "LOCKED" || status === "FINALIZED") {
+      return { ok: false, error: `${team}'s lineup for ${code} is already ${status}.` };
+    }
+  }
+
+  const slots = [1, 2, 3, 4, 5, 6].map((n) => bySlot.get(n));
+  const now = new Date();
+
+  upsertLineupsRow_(lineupsSh, {
+    EventCode: code,
+    EventHeader: ev.eventHeader,
+    Team: team,
+    Status: "SUBMITTED",
+    SubmittedAt: now,
+    LockedAt: "",
+    FinalizedAt: "",
+    Slot1_Name: slots[0].name, Slot1_PDGA: slots[0].pdga,
+    Slot2_Name: slots[1].name, Slot2_PDGA: slots[1].pdga,
+    Slot3_Name: slots[2].name, Slot3_PDGA: slots[2].pdga,
+    Slot4_Name: slots[3].name, Slot4_PDGA: slots[3].pdga,
+    Slot5_Name: slots[4].name, Slot5_PDGA: slots[4].pdga,
+    Slot6_Name: slots[5].name, Slot6_PDGA: slots[5].pdga,
+    MetaJson: JSON.stringify({ source: "Discord", origin: "Discord", submittedBy }),
+  });
+
+  return { ok: true, team, eventCode: code, eventHeader: ev.eventHeader, status: "SUBMITTED", slots };
+}
+
 function updateStandingsForEvent_(eventHeader, teamTotalsMap) {
   const ss = getSS_();
   const sh = mustGetSheet_(ss, SHEET_STANDINGS);
@@ -4247,8 +7350,21 @@ function updateStandingsForEvent_(eventHeader, teamTotalsMap) {
  * - reads K15 + K18:K23 from each team tab
  * - validates K18:K23 are all on roster C3:C12
  * - upserts into Lineups as LOCKED
+ * Throws if any team was skipped (menu behavior); ADMIN_LOCK_LINEUPS uses lockLineupsForEventCodeResult_.
  */
 function lockLineupsForEventCode(eventCode) {
+  const res = lockLineupsForEventCodeResult_(eventCode);
+  if (res.skipped.length) {
+    throw new Error("Lineup lock errors:\n- " + res.skipped.map((x) => `${x.team}: ${x.reason}`).join("\n- "));
+  }
+  return res;
+}
+
+/**
+ * Returns { eventCode, locked: [team], skipped: [{ team, reason }] }; valid teams are locked
+ * even when others are skipped.
+ */
+function lockLineupsForEventCodeResult_(eventCode) {
   ensureLineupSheets_();
   const ss = getSS_();
   const poolSh = mustGetSheet_(ss, SHEET_PLAYERPOOL);
@@ -4260,19 +7376,34 @@ function lockLineupsForEventCode(eventCode) {
   const eventHeader = getEventHeaderForCode_(code);
   const now = new Date();
   const teams = canonTeamsNoFA_();
+  const { ownerByPdga } = getOwnershipStateFromRosters_(ss);
 
-  const errors = [];
+  const locked = [];
+  const skipped = [];
 
   for (const team of teams) {
+    const discord = findDiscordLineup_(lineupsSh, code, team);
+    if (discord) {
+      const notOwned = discord.pdgas.find((pdga) => normalizeTeam_(ownerByPdga.get(pdga) || "") !== team);
+      if (notOwned) {
+        skipped.push({ team, reason: `Discord lineup PDGA ${notOwned} is not on the Rosters tab for this team` });
+        continue;
+      }
+
+      upsertLineupsRow_(lineupsSh, buildDiscordLockedLineupRow_(code, eventHeader, team, discord, now, "ManualLock"));
+      locked.push(team);
+      continue;
+    }
+
     const teamSh = getTeamSheetForCanon_(ss, team);
     if (!teamSh) {
-      errors.push(`Missing Team tab for: ${team} (expected ${TEAM_TABCODE_BY_CANON[team] || team})`);
+      skipped.push({ team, reason: `Missing Team tab (expected ${teamTabCode_(team) || team})` });
       continue;
     }
 
     const tabCode = String(teamSh.getRange(TEAMTAB_NEXT_EVENTCODE_A1).getValue() || "").trim().toUpperCase();
     if (tabCode && tabCode !== code) {
-      errors.push(`${team}: Team tab shows EventCode=${tabCode} in ${TEAMTAB_NEXT_EVENTCODE_A1} but you tried to lock ${code}`);
+      skipped.push({ team, reason: `Team tab shows EventCode=${tabCode} in ${TEAMTAB_NEXT_EVENTCODE_A1} but you tried to lock ${code}` });
       continue;
     }
 
@@ -4281,7 +7412,7 @@ function lockLineupsForEventCode(eventCode) {
       .filter((v) => v);
 
     if (lineupPdgas.length !== 6) {
-      errors.push(`${team}: lineup must have exactly 6 PDGA selections (found ${lineupPdgas.length})`);
+      skipped.push({ team, reason: `lineup must have exactly 6 PDGA selections (found ${lineupPdgas.length})` });
       continue;
     }
 
@@ -4291,12 +7422,11 @@ function lockLineupsForEventCode(eventCode) {
         .filter((v) => v)
     );
 
-    for (const pdga of lineupPdgas) {
-      if (!rosterPdgas.has(pdga)) {
-        errors.push(`${team}: lineup PDGA ${pdga} not found on roster range ${TEAMTAB_ROSTER_PDGA_RANGE_A1}`);
-      }
+    const offRoster = lineupPdgas.filter((pdga) => !rosterPdgas.has(pdga));
+    if (offRoster.length) {
+      skipped.push({ team, reason: `lineup PDGA ${offRoster.join(", ")} not found on roster range ${TEAMTAB_ROSTER_PDGA_RANGE_A1}` });
+      continue;
     }
-    if (errors.some((x) => x.startsWith(team + ":"))) continue;
 
     const names = lineupPdgas.map((pdga) => getPlayerPoolNameByPdga_(poolSh, pdga));
 
@@ -4316,11 +7446,10 @@ function lockLineupsForEventCode(eventCode) {
       Slot6_Name: names[5], Slot6_PDGA: lineupPdgas[5],
       MetaJson: JSON.stringify({ source: "TeamTab", eventCodeCell: TEAMTAB_NEXT_EVENTCODE_A1, lineupRange: TEAMTAB_LINEUP_PDGA_RANGE_A1 })
     });
+    locked.push(team);
   }
 
-  if (errors.length) {
-    throw new Error("Lineup lock errors:\n- " + errors.join("\n- "));
-  }
+  return { eventCode: code, locked, skipped };
 }
 
 /**
@@ -4404,6 +7533,13 @@ function finalizeLineupsForEventCode(eventCode) {
   }
 
   updateStandingsForEvent_(eventHeader, teamTotals);
+
+  return {
+    eventCode: code,
+    eventHeader,
+    finalizedCount,
+    totals: [...teamTotals.entries()].map(([team, total]) => ({ team, total })),
+  };
 }
 
 // UI prompts (these get called by your menu)
@@ -4436,6 +7572,7 @@ function onOpen() {
     .addItem("Debug: Registration Parse (set URL in code)", "debugRegistrationParse")
     .addSeparator()
     .addItem("Rebuild Rosters (Draft + Transactions)", "rebuildRosters")
+    .addItem("Seed Teams Sheet (from built-in list)", "seedTeamsSheet")
     .addSeparator()
     // --- SCORING MENU ITEMS ---
     .addItem("Run PDGA Scoring Now (Hyzerbase)", "runScoringNow")
@@ -1,5 +1,10 @@
 require("dotenv").config();
-const { REST, Routes, SlashCommandBuilder } = require("discord.js");
+const {
+  REST,
+  Routes,
+  SlashCommandBuilder,
+  PermissionFlagsBits,
+} = require("discord.js");
 
 // =======================
 // Env checks
@@ -24,29 +29,22 @@ const ENABLE_WAIVER_RUN = envBool("ENABLE_WAIVER_RUN", false);
 // =======================
 // Constants / Helpers
 // =======================
-const TEAM_CHOICES = [
-  { name: "Sir Krontzalot", value: "Sir Krontzalot" },
-  { name: "Exalted Evil", value: "Exalted Evil" },
-  { name: "Tree Ninja Disc Golf", value: "Tree Ninja Disc Golf" },
-  { name: "The Abba Zabba", value: "The Abba Zabba" },
-  { name: "Ryan Morgan", value: "Ryan Morgan" },
-  { name: "SPY Dyes", value: "SPY Dyes" },
-  { name: "Eddie Speidel", value: "Eddie Speidel" },
-  { name: "Webb Webb Webb", value: "Webb Webb Webb" },
-  { name: "Hughes Moves", value: "Hughes Moves" },
-  { name: "Matthew Lopez", value: "Matthew Lopez" },
-];
-
-function addTeamOption(cmd, optionName = "team", description = "Team") {
+// Team options autocomplete from the bot's Teams cache (Teams tab), so renames need no redeploy
+function addTeamOption(cmd, optionName = "team", description = "Team", required = true) {
   return cmd.addStringOption((opt) =>
     opt
       .setName(optionName)
       .setDescription(description)
-      .setRequired(true)
-      .addChoices(...TEAM_CHOICES)
+      .setRequired(required)
+      .setAutocomplete(true)
   );
 }
 
+// Team-scoped commands default to the caller's team (TeamManagers); Discord needs optional options last
+function addMyTeamOption(cmd, optionName = "team") {
+  return addTeamOption(cmd, optionName, "Your team (defaults to the team you manage)", false);
+}
+
 function addNotesOption(cmd) {
   return cmd.addStringOption((opt) =>
     opt.setName("notes").setDescription("Notes (optional)").setRequired(false)
@@ -73,6 +71,16 @@ function addWaiverPickOptions(cmd) {
         .setRequired(i === 1)
     );
   }
+  // FAAB seasons only (ignored in priority-order seasons)
+  for (let i = 1; i <= 10; i++) {
+    cmd.addIntegerOption((opt) =>
+      opt
+        .setName(`bid${i}`)
+        .setDescription(`FAAB bid for pick #${i} (whole dollars)`)
+        .setMinValue(0)
+        .setRequired(false)
+    );
+  }
   return cmd;
 }
 
@@ -83,7 +91,7 @@ const transactionCmd = new SlashCommandBuilder()
   .setName("transaction")
   .setDescription("Log an add, drop, or swap (add and drop together = swap).");
 
-addTeamOption(transactionCmd, "team", "Team making the move");
+addMyTeamOption(transactionCmd);
 addAutocompletePlayerOption(
   transactionCmd,
   "add_player",
@@ -97,42 +105,83 @@ addAutocompletePlayerOption(
   false
 );
 addNotesOption(transactionCmd);
+transactionCmd.addBooleanOption((opt) =>
+  opt
+    .setName("override_lock")
+    .setDescription("COMMISSIONER: allow this move during an event's roster lock")
+    .setRequired(false)
+);
+
+const TRADE_MAX_PLAYERS_PER_SIDE = 4;
 
 const tradeCmd = new SlashCommandBuilder()
   .setName("trade")
-  .setDescription("Log a trade (writes two rows).");
+  .setDescription(
+    `Propose a trade (up to ${TRADE_MAX_PLAYERS_PER_SIDE} players per side); team_b accepts or rejects.`
+  );
 
-addTeamOption(tradeCmd, "team_a", "Team A");
 addAutocompletePlayerOption(
   tradeCmd,
   "player_a",
-  "Player from Team A (autocomplete)",
+  "Player you send (autocomplete)",
   true
 );
-addTeamOption(tradeCmd, "team_b", "Team B");
+addTeamOption(tradeCmd, "team_b", "Team you're trading with");
 addAutocompletePlayerOption(
   tradeCmd,
   "player_b",
   "Player from Team B (autocomplete)",
   true
 );
+addMyTeamOption(tradeCmd, "team_a");
+for (const side of ["a", "b"]) {
+  for (let i = 2; i <= TRADE_MAX_PLAYERS_PER_SIDE; i++) {
+    addAutocompletePlayerOption(
+      tradeCmd,
+      `player_${side}${i}`,
+      `Additional player #${i} from Team ${side.toUpperCase()} (autocomplete)`,
+      false
+    );
+  }
+}
 addNotesOption(tradeCmd);
+tradeCmd.addBooleanOption((opt) =>
+  opt
+    .setName("override_lock")
+    .setDescription("COMMISSIONER: allow this trade during an event's roster lock")
+    .setRequired(false)
+);
 
 const waiversCmd = new SlashCommandBuilder()
   .setName("waivers")
-  .setDescription(
-    "Submit your ranked waiver wishlist (resubmitting replaces your previous request)."
+  .setDescription("Submit, view, or cancel your waiver wishlist for the next cycle.")
+  .addSubcommand((sub) =>
+    addMyTeamOption(
+      addWaiverPickOptions(
+        sub
+          .setName("submit")
+          .setDescription(
+            "Submit your ranked wishlist (resubmitting replaces your previous request)."
+          )
+      )
+    )
+  )
+  .addSubcommand((sub) =>
+    addMyTeamOption(
+      sub.setName("view").setDescription("Show your pending wishlist and which picks are still eligible.")
+    )
+  )
+  .addSubcommand((sub) =>
+    addMyTeamOption(
+      sub.setName("cancel").setDescription("Withdraw your pending wishlist for the next cycle.")
+    )
   );
 
-addTeamOption(waiversCmd, "team", "Team submitting the wishlist");
-addWaiverPickOptions(waiversCmd);
-
 // ✅ Alerts command (Twilio preferences)
 const alertsCmd = new SlashCommandBuilder()
   .setName("alerts")
   .setDescription("Configure SMS text alerts for your team.");
 
-addTeamOption(alertsCmd, "team", "Team to receive alerts for");
 alertsCmd
   .addStringOption((opt) =>
     opt
@@ -164,16 +213,237 @@ alertsCmd
       .setDescription("Reminder the day before an event starts to set your lineup")
       .setRequired(true)
   );
+addMyTeamOption(alertsCmd);
+
+const rosterCmd = new SlashCommandBuilder()
+  .setName("roster")
+  .setDescription("Show a team's current roster with Season_T points.");
+
+addTeamOption(rosterCmd, "team", "Team to show");
+
+const standingsCmd = new SlashCommandBuilder()
+  .setName("standings")
+  .setDescription("Show league standings (or one event's team totals).")
+  .addStringOption((opt) =>
+    opt
+      .setName("event")
+      .setDescription("EventCode for one event's team totals (ex: SFO)")
+      .setRequired(false)
+  );
+
+const playerCmd = new SlashCommandBuilder()
+  .setName("player")
+  .setDescription("Show a player's owner, points, registration, rank and recent moves.");
+
+addAutocompletePlayerOption(playerCmd, "name", "Player (autocomplete)", true);
+
+const freeAgentsCmd = new SlashCommandBuilder()
+  .setName("freeagents")
+  .setDescription("Browse unowned players with filters (results page with buttons).")
+  .addStringOption((opt) =>
+    opt
+      .setName("division")
+      .setDescription("Only one division")
+      .setRequired(false)
+      .addChoices({ name: "MPO", value: "MPO" }, { name: "FPO", value: "FPO" })
+  )
+  .addBooleanOption((opt) =>
+    opt
+      .setName("registered")
+      .setDescription("Only players registered (or waitlisted) for the next event")
+      .setRequired(false)
+  )
+  .addIntegerOption((opt) =>
+    opt
+      .setName("max_rank")
+      .setDescription("Only players with StatMando rank at or better than this")
+      .setRequired(false)
+      .setMinValue(1)
+  )
+  .addStringOption((opt) =>
+    opt
+      .setName("sort")
+      .setDescription("Sort order (default: Season_T)")
+      .setRequired(false)
+      .addChoices(
+        { name: "Season_T", value: "season" },
+        { name: "Event points (needs event)", value: "event" },
+        { name: "StatMando rank", value: "rank" }
+      )
+  )
+  .addStringOption((opt) =>
+    opt
+      .setName("event")
+      .setDescription("EventCode for sort:event (ex: SFO)")
+      .setRequired(false)
+  );
+
+const historyCmd = new SlashCommandBuilder()
+  .setName("history")
+  .setDescription("Browse past adds, drops, swaps and trades (results page with buttons).");
+
+addTeamOption(historyCmd, "team", "Only moves involving this team", false);
+addAutocompletePlayerOption(historyCmd, "player", "Only moves involving this player", false);
+historyCmd
+  .addStringOption((opt) =>
+    opt.setName("from").setDescription("On or after this date (YYYY-MM-DD)").setRequired(false)
+  )
+  .addStringOption((opt) =>
+    opt.setName("to").setDescription("On or before this date (YYYY-MM-DD)").setRequired(false)
+  );
+
+const lineupCmd = new SlashCommandBuilder()
+  .setName("lineup")
+  .setDescription("Submit your 6-player lineup for the current event.");
+
+for (let i = 1; i <= 6; i++) {
+  addAutocompletePlayerOption(
+    lineupCmd,
+    `slot${i}`,
+    `Lineup slot #${i} (autocomplete from your roster)`,
+    true
+  );
+}
+addMyTeamOption(lineupCmd);
+
+// Commissioner commands default to Manage Server only. To let commissioners without it use them,
+// allow them under Server Settings → Integrations → this bot. The bot and Apps Script both
+// check the caller against the Commissioners tab (managed with /commissioners).
+
+// ✅ Commissioner: who counts as commissioner (Commissioners tab)
+const commissionersCmd = new SlashCommandBuilder()
+  .setName("commissioners")
+  .setDescription("COMMISSIONER: Manage who can run commissioner commands.")
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand((sub) =>
+    sub
+      .setName("add")
+      .setDescription("Make a user a commissioner.")
+      .addUserOption((opt) =>
+        opt.setName("user").setDescription("Discord user").setRequired(true)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName("remove")
+      .setDescription("Remove a commissioner (the last one can't be removed).")
+      .addUserOption((opt) =>
+        opt.setName("user").setDescription("Discord user").setRequired(true)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub.setName("list").setDescription("Show every commissioner.")
+  );
+
+// ✅ Commissioner: bind Discord users to teams (TeamManagers tab)
+const managersCmd = new SlashCommandBuilder()
+  .setName("managers")
+  .setDescription("COMMISSIONER: Manage which Discord users manage each team.")
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand((sub) =>
+    addTeamOption(
+      sub
+        .setName("set")
+        .setDescription("Link a user to a team (replaces their previous team).")
+        .addUserOption((opt) =>
+          opt.setName("user").setDescription("Discord user").setRequired(true)
+        ),
+      "team",
+      "Team they manage"
+    )
+  )
+  .addSubcommand((sub) =>
+    sub
+      .setName("remove")
+      .setDescription("Unlink a user from their team.")
+      .addUserOption((opt) =>
+        opt.setName("user").setDescription("Discord user").setRequired(true)
+      )
+  )
+  .addSubcommand((sub) =>
+    sub.setName("list").setDescription("Show every team's managers.")
+  );
+
+// ✅ Commissioner: League Tools menu operations without opening the spreadsheet
+function addEventCodeOption(sub) {
+  return sub.addStringOption((opt) =>
+    opt
+      .setName("event_code")
+      .setDescription("EventCode from ScoringConfig (e.g. SFO)")
+      .setRequired(true)
+      .setAutocomplete(true)
+  );
+}
+
+const adminCmd = new SlashCommandBuilder()
+  .setName("admin")
+  .setDescription("COMMISSIONER: League Tools operations (rosters, registrations, scoring, lineups).")
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addSubcommand((sub) =>
+    sub.setName("rebuild_rosters").setDescription("Rebuild Rosters from DraftBoard + Transactions.")
+  )
+  .addSubcommand((sub) =>
+    sub.setName("update_events").setDescription("Refresh registrations (Config), ranks and MPO/FPO sort.")
+  )
+  .addSubcommand((sub) =>
+    sub.setName("run_scoring").setDescription("Run PDGA live scoring now (nightly job).")
+  )
+  .addSubcommand((sub) =>
+    addEventCodeOption(sub.setName("lock_lineups").setDescription("Lock every valid lineup for an event."))
+  )
+  .addSubcommand((sub) =>
+    addEventCodeOption(
+      sub.setName("finalize_lineups").setDescription("Finalize LOCKED lineups and write Standings.")
+    )
+  )
+  .addSubcommand((sub) =>
+    addEventCodeOption(
+      sub.setName("reset_team_lock").setDescription("Clear the Team-tab event column lock for an event.")
+    )
+  );
+
+// ✅ Commissioner: undo a logged move by TransactionId (writes REVERSAL rows)
+const transactionReverseCmd = new SlashCommandBuilder()
+  .setName("transaction_reverse")
+  .setDescription("COMMISSIONER: Reverse a logged transaction (preview, then confirm).")
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+  .addStringOption((opt) =>
+    opt
+      .setName("transaction_id")
+      .setDescription("TransactionId from /history (ex: TX-1A2B3C4D5E)")
+      .setRequired(true)
+  )
+  .addStringOption((opt) =>
+    opt.setName("notes").setDescription("Why it's being reversed (audit trail)").setRequired(false)
+  );
+
+// ✅ Commissioner: bot health (gateway, PlayerPool, noon cron, Apps Script)
+const statusCmd = new SlashCommandBuilder()
+  .setName("status")
+  .setDescription("COMMISSIONER: Show bot health and recent errors.")
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
 
 const waiverRunNowCmd = new SlashCommandBuilder()
   .setName("waiver_run_now")
-  .setDescription("ADMIN: Run waiver awards immediately for the next waiver cycle.");
+  .setDescription("COMMISSIONER: Run waiver awards immediately for the next waiver cycle.")
+  .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild);
 
 const commands = [
   transactionCmd,
   tradeCmd,
   waiversCmd,
   alertsCmd,
+  rosterCmd,
+  standingsCmd,
+  playerCmd,
+  freeAgentsCmd,
+  historyCmd,
+  lineupCmd,
+  commissionersCmd,
+  managersCmd,
+  adminCmd,
+  transactionReverseCmd,
+  statusCmd,
   ...(ENABLE_WAIVER_RUN ? [waiverRunNowCmd] : []),
 ].map((c) => c.toJSON());
 
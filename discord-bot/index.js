@@ -4,7 +4,19 @@ const fetch =
   global.fetch ||
   ((...args) => import("node-fetch").then(({ default: f }) => f(...args)));
 
-const { Client, GatewayIntentBits, Events } = require("discord.js");
+const {
+  Client,
+  GatewayIntentBits,
+  Events,
+  EmbedBuilder,
+  ActionRowBuilder,
+  ButtonBuilder,
+  ButtonStyle,
+} = require("discord.js");
+const crypto = require("crypto");
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
 const cron = require("node-cron");
 const { DateTime } = require("luxon");
 
@@ -21,84 +33,13 @@ process.on("uncaughtException", (err) =>
 // =====================================================
 // Config / Constants
 // =====================================================
-const TEAM_NAMES = new Set([
-  "Sir Krontzalot",
-  "Exalted Evil",
-  "Tree Ninja Disc Golf",
-  "The Abba Zabba",
-  "Ryan Morgan",
-  "SPY Dyes",
-  "Eddie Speidel",
-  "Webb Webb Webb",
-  "Hughes Moves",
-  "Matthew Lopez",
-]);
+// Slash-command options that take a team (served from the Teams cache via autocomplete)
+const TEAM_OPTION_NAMES = new Set(["team", "team_a", "team_b"]);
 
 // Match what your Sheets ownership formula outputs (singular)
 const FREE = "Free Agent";
-
-// Waiver Awards Scheduler (12:00 PM ET on specific dates)
-const WAIVER_AWARD_DATES = [
-  { event: "Supreme Flight Open", date: "2026-03-03" },
-  { event: "Big Easy Open", date: "2026-03-17" },
-  { event: "Queen City Classic", date: "2026-03-31" },
-  { event: "PDGA Champions Cup", date: "2026-04-14" },
-  { event: "Jonesboro Open", date: "2026-04-21" },
-  { event: "Kansas City Wide Open", date: "2026-04-28" },
-  { event: "Waco Annual Charity Open", date: "2026-05-05" },
-  { event: "The Open at Austin", date: "2026-05-12" },
-  { event: "OTB Open", date: "2026-05-26" },
-  { event: "Cascade Challenge", date: "2026-06-02" },
-  { event: "Northwest Championship", date: "2026-06-09" },
-  { event: "European Open", date: "2026-06-23" },
-  { event: "Swedish Open", date: "2026-06-30" },
-  { event: "Ale Open", date: "2026-07-07" },
-  { event: "Heinola Open", date: "2026-07-14" },
-  { event: "U.S. Women’s Disc Golf Championship", date: "2026-07-21" },
-  { event: "Champions Landing Open", date: "2026-07-28" },
-  { event: "Ledgestone Open", date: "2026-08-04" },
-  { event: "Discmania Challenge", date: "2026-08-11" },
-  { event: "Preserve Championship", date: "2026-08-18" },
-  { event: "PDGA Pro World Championships", date: "2026-09-01" },
-  { event: "Idlewild Open", date: "2026-09-08" },
-  { event: "Green Mountain Championship", date: "2026-09-22" },
-  { event: "MVP Open", date: "2026-09-29" },
-  {
-    event: "United States and Throw Pink Women's Disc Golf Championship",
-    date: "2026-10-13",
-  },
-];
-
-// =====================================================
-// Lineup Reminder Schedule (12:00 PM ET day-before Round 1)
-// =====================================================
-const LINEUP_REMINDER_DATES = [
-  { event: "Supreme Flight Open", date: "2026-02-26" },
-  { event: "Big Easy Open", date: "2026-03-12" },
-  { event: "Queen City Classic", date: "2026-03-26" },
-  { event: "PDGA Champions Cup", date: "2026-04-08" },
-  { event: "Jonesboro Open", date: "2026-04-16" },
-  { event: "Kansas City Wide Open", date: "2026-04-23" },
-  { event: "Waco Annual Charity Open", date: "2026-04-30" },
-  { event: "Open at Austin", date: "2026-05-06" },
-  { event: "OTB Open", date: "2026-05-20" },
-  { event: "Cascade Challenge", date: "2026-05-28" },
-  { event: "Northwest Championship", date: "2026-06-03" },
-  { event: "European Open", date: "2026-06-17" },
-  { event: "Swedish Open", date: "2026-06-25" },
-  { event: "Ale Open", date: "2026-07-02" },
-  { event: "Heinola Open", date: "2026-07-09" },
-  { event: "US Women’s Disc Golf Championship", date: "2026-07-15" },
-  { event: "Champions Landing Open", date: "2026-07-23" },
-  { event: "Ledgestone Open", date: "2026-07-29" },
-  { event: "Discmania Challenge", date: "2026-08-06" },
-  { event: "DGPT Doubles at the Preserve", date: "2026-08-13" },
-  { event: "PDGA Pro World Championships", date: "2026-08-25" },
-  { event: "Idlewild Open", date: "2026-09-03" },
-  { event: "Green Mountain Championship", date: "2026-09-16" },
-  { event: "MVP Open x OTB", date: "2026-09-23" },
-  { event: "United States Disc Golf Championship", date: "2026-10-07" },
-];
+// Free Agents dropped since the last waiver run (Rosters Status); claimable only through /waivers
+const ON_WAIVERS = "On Waivers";
 
 // =====================================================
 // Env checks
@@ -125,6 +66,9 @@ const REMINDER_CHANNEL_ID = envOptional(
   process.env.WAIVER_CHANNEL_ID
 );
 
+// Optional: where startup catch-up reports go (console only when unset)
+const ADMIN_CHANNEL_ID = envOptional("ADMIN_CHANNEL_ID", "");
+
 function envBool(name, fallback = false) {
   const v = String(process.env[name] ?? "").trim().toLowerCase();
   if (!v) return fallback;
@@ -139,10 +83,119 @@ const ENABLE_WAIVER_RUN = envBool("ENABLE_WAIVER_RUN", false);
 const client = new Client({ intents: [GatewayIntentBits.Guilds] });
 client.on("error", (err) => console.error("Client error:", err));
 
+// =====================================================
+// Operational state (HEALTH_PORT endpoint + /status)
+// =====================================================
+// Answers "is it the bot, the PlayerPool CSV or Apps Script?" without digging through logs.
+const HEALTH_PORT = Number(process.env.HEALTH_PORT || 0); // 0/unset = no HTTP endpoint
+const HEALTH_HOST = envOptional("HEALTH_HOST", "127.0.0.1");
+const BOT_STARTED_AT = new Date().toISOString();
+
+const health = {
+  gateway: { status: "starting", since: BOT_STARTED_AT },
+  playerPool: { loadedAt: null, count: 0, lastError: null, lastErrorAt: null },
+  cron: { lastRunAt: null, ok: null, summary: "", error: null },
+  // lastError = transport failures only (timeout / network / non-JSON), not ok:false verdicts
+  appsScript: { lastCallAt: null, lastAction: "", latencyMs: null, lastError: null, lastErrorAt: null },
+};
+
+function setGatewayStatus(status) {
+  health.gateway = { status, since: new Date().toISOString() };
+}
+
+client.on(Events.ShardReady, () => setGatewayStatus("connected"));
+client.on(Events.ShardResume, () => setGatewayStatus("connected"));
+client.on(Events.ShardReconnecting, () => setGatewayStatus("reconnecting"));
+client.on(Events.ShardDisconnect, () => setGatewayStatus("disconnected"));
+
+// Unhealthy = PlayerPool never loaded or the last noon cron failed (drives the HTTP status code)
+function healthReport() {
+  const problems = [];
+  if (!health.playerPool.loadedAt) problems.push("PlayerPool has never loaded");
+  if (health.cron.ok === false) problems.push(`Last noon cron failed: ${health.cron.error}`);
+
+  return {
+    ok: problems.length === 0,
+    problems,
+    startedAt: BOT_STARTED_AT,
+    gateway: { ...health.gateway, pingMs: client.ws.ping >= 0 ? client.ws.ping : null },
+    playerPool: health.playerPool,
+    cron: health.cron,
+    appsScript: health.appsScript,
+    outboxPending: outboxEntries.size,
+  };
+}
+
+function whenAgo(iso) {
+  return iso ? `${DateTime.fromISO(iso).toRelative()} (${iso})` : "never";
+}
+
+function renderStatusEmbed() {
+  const r = healthReport();
+  const pp = r.playerPool;
+  const as = r.appsScript;
+
+  const fields = [
+    {
+      name: "Gateway",
+      value:
+        `${r.gateway.status} since ${whenAgo(r.gateway.since)}` +
+        (r.gateway.pingMs != null ? `\nPing: ${r.gateway.pingMs} ms` : ""),
+    },
+    {
+      name: "PlayerPool",
+      value:
+        `Loaded: ${whenAgo(pp.loadedAt)} — ${pp.count} players` +
+        (pp.lastError ? `\nLast error: ${pp.lastError} (${whenAgo(pp.lastErrorAt)})` : ""),
+    },
+    {
+      name: "Noon cron",
+      value: r.cron.lastRunAt
+        ? `${r.cron.ok ? "✅" : "❌"} ${whenAgo(r.cron.lastRunAt)}\n${r.cron.ok ? r.cron.summary : r.cron.error}`
+        : "Not run since startup",
+    },
+    {
+      name: "Apps Script",
+      value:
+        `Last call: ${whenAgo(as.lastCallAt)}${as.lastAction ? ` (${as.lastAction})` : ""}` +
+        (as.latencyMs != null ? ` — ${as.latencyMs} ms` : "") +
+        (as.lastError ? `\nLast transport error: ${as.lastError} (${whenAgo(as.lastErrorAt)})` : "") +
+        `\nOutbox pending: ${r.outboxPending}`,
+    },
+  ];
+
+  return new EmbedBuilder()
+    .setTitle(`${r.ok ? "🟢" : "🔴"} Bot status`)
+    .setDescription(r.ok ? "All checks passing." : r.problems.map((p) => `• ${p}`).join("\n"))
+    .addFields(fields.map((f) => ({ ...f, value: f.value.slice(0, EMBED_FIELD_VALUE_MAX) })))
+    .setFooter({
+      text: `Up since ${r.startedAt}${HEALTH_PORT ? ` • health: ${HEALTH_HOST}:${HEALTH_PORT}` : ""}`,
+    });
+}
+
+function startHealthServer() {
+  if (!HEALTH_PORT) return;
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== "GET" || !["/", "/health"].includes(req.url.split("?")[0])) {
+      res.writeHead(404, { "Content-Type": "application/json" });
+      return res.end(JSON.stringify({ ok: false, error: "Not found" }));
+    }
+    const report = healthReport();
+    res.writeHead(report.ok ? 200 : 503, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(report, null, 2));
+  });
+
+  server.on("error", (e) => console.error(`❌ Health endpoint failed on ${HEALTH_HOST}:${HEALTH_PORT}:`, e));
+  server.listen(HEALTH_PORT, HEALTH_HOST, () =>
+    console.log(`🩺 Health endpoint on http://${HEALTH_HOST}:${HEALTH_PORT}/health`)
+  );
+}
+
 // =====================================================
 // PlayerPool cache (used for ALL autocomplete + PDGA resolution)
 // =====================================================
-let players = []; // [{ name, pdga }]
+let players = []; // [{ name, pdga, key }]  key = normalizeSearchText(name)
 let nameToPdga = new Map(); // exact name -> pdga
 let playerPoolLoaded = false;
 
@@ -173,6 +226,16 @@ function parseCsvLine(line) {
 }
 
 async function refreshPlayerPool() {
+  try {
+    await loadPlayerPoolCsv();
+  } catch (e) {
+    health.playerPool.lastError = String(e?.message || e);
+    health.playerPool.lastErrorAt = new Date().toISOString();
+    throw e;
+  }
+}
+
+async function loadPlayerPoolCsv() {
   const res = await fetch(process.env.PLAYERPOOL_CSV_URL);
   if (!res.ok) throw new Error(`PlayerPool CSV fetch failed: ${res.status}`);
 
@@ -188,29 +251,295 @@ async function refreshPlayerPool() {
     const pdga = (pdgaRaw || "").replace(/^"|"$/g, "").trim();
     if (!name || !pdga) continue;
 
-    data.push({ name, pdga });
+    data.push({ name, pdga, key: normalizeSearchText(name) });
     if (!map.has(name)) map.set(name, pdga);
   }
 
   players = data;
   nameToPdga = map;
   playerPoolLoaded = true;
+  health.playerPool.loadedAt = new Date().toISOString();
+  health.playerPool.count = players.length;
 
   console.log(`✅ PlayerPool refreshed: ${players.length} players`);
 }
 
-function searchPlayers(query, limit = 25) {
-  const q = (query || "").toLowerCase().trim();
-  if (!q) return players.slice(0, limit);
+// Letters NFD doesn't decompose into a base letter + accent
+const SEARCH_LETTER_FOLDS = {
+  ø: "o",
+  æ: "ae",
+  œ: "oe",
+  ß: "ss",
+  ł: "l",
+  đ: "d",
+  ð: "d",
+  þ: "th",
+  ı: "i",
+};
+
+// "Gannon Buhr" / "gannon buhr" / "Buhr, Gannon" / "Õ" -> "o" / "ø" -> "o": lowercase, accents and
+// letter variants folded, punctuation -> spaces
+function normalizeSearchText(s) {
+  return String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[øæœßłđðþı]/g, (ch) => SEARCH_LETTER_FOLDS[ch])
+    .replace(/[^a-z0-9]+/g, " ")
+    .trim();
+}
+
+// Every query token must appear somewhere in the name (any order)
+function playerMatchesQuery(p, tokens) {
+  const key = p.key ?? normalizeSearchText(p.name);
+  return tokens.every((t) => key.includes(t));
+}
+
+// filter(p) narrows the pool first (e.g. free agents only, one team's roster)
+function searchPlayers(query, limit = 25, filter = null) {
+  const tokens = normalizeSearchText(query).split(" ").filter(Boolean);
 
   const matches = [];
   for (const p of players) {
-    if (p.name.toLowerCase().includes(q)) matches.push(p);
+    if (filter && !filter(p)) continue;
+    if (tokens.length && !playerMatchesQuery(p, tokens)) continue;
+    matches.push(p);
     if (matches.length >= limit) break;
   }
   return matches;
 }
 
+// =====================================================
+// Roster cache (used for roster-filtered autocomplete, e.g. /lineup slots)
+// =====================================================
+const ROSTER_CACHE_TTL_MS = 5 * 60 * 1000;
+const rosterCache = new Map(); // team -> { players: [{ name, pdga, ... }], fetchedAt }
+const rosterFetches = new Map(); // team -> in-flight Promise
+
+async function getTeamRoster(team, { maxAgeMs = ROSTER_CACHE_TTL_MS } = {}) {
+  const cached = rosterCache.get(team);
+  if (cached && Date.now() - cached.fetchedAt < maxAgeMs) return cached.players;
+
+  if (!rosterFetches.has(team)) {
+    const p = postRosterGet({ team })
+      .then((res) => {
+        const list = Array.isArray(res.players) ? res.players : [];
+        rosterCache.set(team, { players: list, fetchedAt: Date.now() });
+        return list;
+      })
+      .finally(() => rosterFetches.delete(team));
+    rosterFetches.set(team, p);
+  }
+
+  return rosterFetches.get(team);
+}
+
+// Also marks the ownership cache stale: both are views of the Rosters tab
+function invalidateRosterCache(...teams) {
+  for (const t of teams) if (t) rosterCache.delete(t);
+  ownershipFetchedAt = 0;
+}
+
+// =====================================================
+// Ownership cache (pdga -> team via OWNERSHIP_GET; drives per-option autocomplete)
+// =====================================================
+const OWNERSHIP_CACHE_TTL_MS = 2 * 60 * 1000;
+let ownerByPdga = new Map(); // pdga -> team or ON_WAIVERS (Free Agents absent)
+let waiversUntil = ""; // next waiver run (yyyy-MM-dd) that clears ON_WAIVERS
+let awardHolds = new Map(); // pdga -> team that won it on waivers and hasn't claimed it yet
+let ownershipLoaded = false;
+let ownershipFetchedAt = 0;
+let ownershipFetch = null;
+
+function refreshOwnership() {
+  if (!ownershipFetch) {
+    ownershipFetch = postOwnershipGet()
+      .then((res) => {
+        const owners = new Map(Object.entries(res.owners || {}));
+        for (const pdga of res.onWaivers || []) owners.set(String(pdga), ON_WAIVERS);
+        ownerByPdga = owners;
+        waiversUntil = res.waiversUntil || "";
+        awardHolds = new Map(Object.entries(res.awardHolds || {}));
+        ownershipLoaded = true;
+        ownershipFetchedAt = Date.now();
+        return ownerByPdga;
+      })
+      .finally(() => {
+        ownershipFetch = null;
+      });
+  }
+  return ownershipFetch;
+}
+
+// Waits briefly on the first load only; afterwards stale data is served while refreshing
+async function getOwnership() {
+  if (Date.now() - ownershipFetchedAt >= OWNERSHIP_CACHE_TTL_MS) {
+    const p = refreshOwnership().catch((e) => console.error("❌ Ownership refresh failed:", e));
+    if (!ownershipLoaded) await withTimeout(p, 1500, null);
+  }
+  return ownershipLoaded ? ownerByPdga : null;
+}
+
+function ownerOf(owners, pdga) {
+  return owners.get(String(pdga)) || FREE;
+}
+
+// Autocomplete must answer within 3s, so never wait on Apps Script longer than this.
+function withTimeout(promise, ms, fallback) {
+  return Promise.race([
+    promise,
+    new Promise((resolve) => setTimeout(() => resolve(fallback), ms)),
+  ]);
+}
+
+// =====================================================
+// Teams cache (Teams tab via TEAMS_GET — the league's single team list)
+// =====================================================
+const TEAMS_CACHE_TTL_MS = 30 * 60 * 1000;
+let teamsCache = []; // [{ name, tabCode, aliases }]
+let teamsFetchedAt = 0;
+let teamsFetch = null;
+
+function refreshTeams() {
+  if (!teamsFetch) {
+    teamsFetch = postTeamsGet()
+      .then((res) => {
+        teamsCache = Array.isArray(res.teams) ? res.teams : [];
+        teamsFetchedAt = Date.now();
+        return teamsCache;
+      })
+      .finally(() => {
+        teamsFetch = null;
+      });
+  }
+  return teamsFetch;
+}
+
+// Read synchronously (autocomplete has 3s); a stale cache refreshes in the background
+function getTeams() {
+  if (Date.now() - teamsFetchedAt >= TEAMS_CACHE_TTL_MS) {
+    refreshTeams().catch((e) => console.error("❌ Teams refresh failed:", e));
+  }
+  return teamsCache;
+}
+
+// Canonical team name for a typed value (name, tab code or alias), else null
+function resolveTeamName(input) {
+  const key = String(input || "").trim().toUpperCase();
+  if (!key) return null;
+
+  const t = getTeams().find((x) =>
+    [x.name, x.tabCode, ...(x.aliases || [])].some(
+      (k) => String(k || "").trim().toUpperCase() === key
+    )
+  );
+  return t ? t.name : null;
+}
+
+// =====================================================
+// Team managers cache (Discord user -> team, from the TeamManagers tab)
+// =====================================================
+const MANAGERS_CACHE_TTL_MS = 5 * 60 * 1000;
+let teamByManager = new Map(); // discordUserId -> team
+let managersFetchedAt = 0;
+let managersFetch = null;
+
+function refreshManagers() {
+  if (!managersFetch) {
+    managersFetch = postManagersGet()
+      .then((res) => {
+        const next = new Map();
+        for (const m of res.managers || []) next.set(String(m.discordUserId), m.team);
+        teamByManager = next;
+        managersFetchedAt = Date.now();
+        return teamByManager;
+      })
+      .finally(() => {
+        managersFetch = null;
+      });
+  }
+  return managersFetch;
+}
+
+// Falls back to the stale mapping if Apps Script is slow (interactions must ack within 3s)
+async function getManagedTeam(userId) {
+  if (Date.now() - managersFetchedAt >= MANAGERS_CACHE_TTL_MS) {
+    await withTimeout(
+      refreshManagers().catch((e) => console.error("❌ Managers refresh failed:", e)),
+      2000,
+      null
+    );
+  }
+  return teamByManager.get(String(userId)) || null;
+}
+
+// Team option is optional everywhere: default to the caller's team, reject anyone else's
+async function resolveCallerTeam(interaction, optionName = "team") {
+  const raw = interaction.options.getString(optionName, false);
+  const picked = raw ? resolveTeamName(raw) : null;
+  if (raw && !picked) throw new Error(`Invalid team: ${raw}`);
+
+  const managed = await getManagedTeam(interaction.user.id);
+
+  if (!managed) {
+    throw new Error(
+      "You aren't linked to a team yet. Ask the commissioner to run /managers set."
+    );
+  }
+  if (picked && picked !== managed) {
+    throw new Error(`You manage **${managed}** — you can't submit for **${picked}**.`);
+  }
+  return managed;
+}
+
+// =====================================================
+// Commissioners cache (from the Commissioners tab; Apps Script re-checks admin actions against it)
+// =====================================================
+let commissionerIds = new Set();
+let commissionersFetchedAt = 0;
+let commissionersFetch = null;
+
+function refreshCommissioners() {
+  if (!commissionersFetch) {
+    commissionersFetch = postCommissionersGet()
+      .then((res) => {
+        commissionerIds = new Set((res.commissioners || []).map((c) => String(c.discordUserId)));
+        commissionersFetchedAt = Date.now();
+        return commissionerIds;
+      })
+      .finally(() => {
+        commissionersFetch = null;
+      });
+  }
+  return commissionersFetch;
+}
+
+async function isCommissioner(interaction) {
+  if (Date.now() - commissionersFetchedAt >= MANAGERS_CACHE_TTL_MS) {
+    await withTimeout(
+      refreshCommissioners().catch((e) => console.error("❌ Commissioners refresh failed:", e)),
+      2000,
+      null
+    );
+  }
+  return commissionerIds.has(String(interaction.user.id));
+}
+
+// Every admin command goes through here: permission check + who-did-what log line
+async function requireCommissioner(interaction, what) {
+  const who = `${interaction.user.tag} (${interaction.user.id})`;
+  if (!(await isCommissioner(interaction))) {
+    console.warn(`🛡️ DENIED ${what} for ${who}`);
+    await interaction.reply({
+      content: "❌ Only the commissioner can do that.",
+      ephemeral: true,
+    });
+    return false;
+  }
+  console.log(`🛡️ ${what} by ${who}`);
+  return true;
+}
+
 // =====================================================
 // Time / schedule helpers
 // =====================================================
@@ -220,14 +549,34 @@ function todayET() {
     .toFormat("yyyy-LL-dd");
 }
 
+// Waiver runs + lineup reminders (12:00 PM ET) come from ScoringConfig via SCHEDULE_GET:
+//   waivers   = EndDate + WAIVER_OFFSET_DAYS, reminders = StartDate - LINEUP_REMINDER_OFFSET_DAYS
+// Items: { eventCode, event, date: "yyyy-MM-dd" }; date doubles as the waiver cycleId.
+// Reminder items also carry the event's startDate (yyyy-MM-dd).
+let schedule = { waivers: [], reminders: [] };
+let scheduleFetchedAt = 0;
+
+async function refreshSchedule() {
+  const res = await postScheduleGet();
+  schedule = {
+    waivers: Array.isArray(res.waivers) ? res.waivers : [],
+    reminders: Array.isArray(res.reminders) ? res.reminders : [],
+  };
+  scheduleFetchedAt = Date.now();
+  console.log(
+    `✅ Schedule loaded: ${schedule.waivers.length} waiver runs, ${schedule.reminders.length} lineup reminders`
+  );
+  return schedule;
+}
+
 function waiverEventsForToday() {
   const t = todayET();
-  return WAIVER_AWARD_DATES.filter((x) => x.date === t);
+  return schedule.waivers.filter((x) => x.date === t);
 }
 
 function nextWaiverCycleET() {
   const now = DateTime.now().setZone("America/New_York").startOf("day");
-  const future = WAIVER_AWARD_DATES.map((x) => ({
+  const future = schedule.waivers.map((x) => ({
     ...x,
     dt: DateTime.fromISO(x.date, { zone: "America/New_York" }),
   }))
@@ -239,7 +588,7 @@ function nextWaiverCycleET() {
 
 function lineupReminderEventsForToday() {
   const t = todayET();
-  return LINEUP_REMINDER_DATES.filter((x) => x.date === t);
+  return schedule.reminders.filter((x) => x.date === t);
 }
 
 function normalizePhoneToE164(input) {
@@ -259,27 +608,78 @@ function normalizePhoneToE164(input) {
   return digitsOnly ? `+${digitsOnly}` : "";
 }
 
+function formatPoints(n) {
+  const v = Number(n);
+  if (!isFinite(v)) return "0";
+  return Number.isInteger(v) ? String(v) : v.toFixed(1);
+}
+
 // =====================================================
 // Apps Script webhook calls
 // =====================================================
-async function postJson_(payload) {
-  const res = await fetch(process.env.APPS_SCRIPT_URL, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(payload),
-  });
+// doPost can hold LockService for up to 25s before it even starts working
+const APPS_SCRIPT_TIMEOUT_MS = Number(process.env.APPS_SCRIPT_TIMEOUT_MS || 40 * 1000);
+
+// Network failure, timeout or a non-JSON page (Apps Script error/quota HTML):
+// the write may or may not have landed, so only the outbox (with its requestId) retries these.
+function transientError_(message) {
+  const err = new Error(message);
+  err.transient = true;
+  return err;
+}
+
+function recordAppsScriptFailure(err, started) {
+  health.appsScript.latencyMs = Date.now() - started;
+  health.appsScript.lastError = err.message;
+  health.appsScript.lastErrorAt = new Date().toISOString();
+  return err;
+}
+
+// outbox: { label, notifyUserId } routes the call through the durable outbox (writes only)
+async function postJson_(payload, outbox = null, timeoutMs = APPS_SCRIPT_TIMEOUT_MS) {
+  if (outbox) return outboxSend(payload, outbox);
+
+  const started = Date.now();
+  health.appsScript.lastCallAt = new Date(started).toISOString();
+  health.appsScript.lastAction = payload.action || payload.type || "";
+
+  let res;
+  try {
+    res = await fetch(process.env.APPS_SCRIPT_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+  } catch (e) {
+    const timedOut = e?.name === "TimeoutError" || e?.name === "AbortError";
+    throw recordAppsScriptFailure(
+      transientError_(
+        timedOut
+          ? `Apps Script did not answer within ${Math.round(timeoutMs / 1000)}s`
+          : `Apps Script request failed: ${String(e?.message || e)}`
+      ),
+      started
+    );
+  }
 
-  const json = await res.json().catch(() => ({
-    ok: false,
-    error: "Bad JSON response from Apps Script",
-  }));
+  const json = await res.json().catch(() => null);
+  health.appsScript.latencyMs = Date.now() - started;
+  if (!json) {
+    throw recordAppsScriptFailure(
+      transientError_(`Bad JSON response from Apps Script (HTTP ${res.status})`),
+      started
+    );
+  }
 
   if (!json.ok) {
     const errs =
       Array.isArray(json.errors) && json.errors.length
         ? json.errors
         : [json.error || "Apps Script returned ok:false"];
-    throw new Error(errs.join("\n"));
+    const err = new Error(errs.join("\n"));
+    err.response = json; // callers that need the payload (e.g. proposal status) can read it
+    throw err;
   }
   return json;
 }
@@ -292,8 +692,10 @@ function postTransactionRow({
   fromTeam,
   toTeam,
   notes,
+  submittedBy,
+  lockOverride,
   mode,
-}) {
+}, outbox) {
   return postJson_({
     secret: process.env.TX_SECRET,
     date: new Date().toISOString(),
@@ -304,8 +706,10 @@ function postTransactionRow({
     fromTeam,
     toTeam,
     notes: notes || "",
+    submittedBy,
+    ...(lockOverride ? { lockOverride: true } : {}),
     ...(mode ? { mode } : {}),
-  });
+  }, outbox);
 }
 
 function postSwap({
@@ -315,8 +719,10 @@ function postSwap({
   addPdga,
   addName,
   notes,
+  submittedBy,
+  lockOverride,
   mode,
-}) {
+}, outbox) {
   return postJson_({
     secret: process.env.TX_SECRET,
     date: new Date().toISOString(),
@@ -327,21 +733,91 @@ function postSwap({
     addPdga,
     addName,
     notes: notes || "",
+    submittedBy,
+    ...(lockOverride ? { lockOverride: true } : {}),
     ...(mode ? { mode } : {}),
+  }, outbox);
+}
+
+// Dry run of a whole trade (nothing is written)
+function postTradeValidate({ legs, submittedBy, lockOverride }) {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "TRADE_BATCH",
+    mode: "validate",
+    legs,
+    submittedBy,
+    ...(lockOverride ? { lockOverride: true } : {}),
+  });
+}
+
+// ✅ Trade proposals (nothing hits Transactions until the counterparty accepts)
+function postTradePropose({ teamA, legs, notes, proposedBy, lockOverride }) {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "TRADE_PROPOSE",
+    teamA,
+    legs,
+    notes: notes || "",
+    proposedBy,
+    ttlHours: TRADE_PROPOSAL_TTL_HOURS,
+    ...(lockOverride ? { lockOverride: true } : {}),
+  });
+}
+
+function postTradeProposalSetMessage({ proposalId, channelId, messageId }) {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "TRADE_PROPOSAL_SET_MESSAGE",
+    proposalId,
+    channelId,
+    messageId,
+  });
+}
+
+function postTradeProposalRespond({ proposalId, response, respondedBy, lockOverride }, outbox) {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "TRADE_PROPOSAL_RESPOND",
+    proposalId,
+    response,
+    respondedBy,
+    ...(lockOverride ? { lockOverride: true } : {}),
+  }, outbox);
+}
+
+function postTradeProposalsExpire() {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "TRADE_PROPOSALS_EXPIRE",
   });
 }
 
-function postWaiverRun({ cycleId, eventName, runAtIso }) {
+// actor: Discord user id of the commissioner, or "system:<job>" for scheduled runs
+function postWaiverRun({ cycleId, eventName, runAtIso, actor }) {
   return postJson_({
     secret: process.env.TX_SECRET,
     action: "WAIVER_RUN",
     cycleId,
     eventName,
     runAt: runAtIso || new Date().toISOString(),
+    actor,
+  });
+}
+
+// partial: the post failed part-way; the cycle stays UNPOSTED so the next run reposts it
+function postWaiverAwardsSetMessage({ cycleId, channelId, messageIds, partial }) {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "WAIVER_AWARDS_SET_MESSAGE",
+    cycleId,
+    channelId,
+    messageIds,
+    ...(partial ? { partial: true } : {}),
   });
 }
 
-function postWaiverSubmit({ cycleId, team, submittedBy, picks }) {
+function postWaiverSubmit({ cycleId, team, submittedBy, picks }, outbox) {
   return postJson_({
     secret: process.env.TX_SECRET,
     action: "WAIVER_SUBMIT",
@@ -349,9 +825,29 @@ function postWaiverSubmit({ cycleId, team, submittedBy, picks }) {
     team,
     submittedBy,
     picks,
+  }, outbox);
+}
+
+function postWaiverGet({ cycleId, team, submittedBy }) {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "WAIVER_GET",
+    cycleId,
+    team,
+    submittedBy,
   });
 }
 
+function postWaiverCancel({ cycleId, team, submittedBy }, outbox) {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "WAIVER_CANCEL",
+    cycleId,
+    team,
+    submittedBy,
+  }, outbox);
+}
+
 function postLineupReminderRun({ cycleId, eventName, runAtIso }) {
   return postJson_({
     secret: process.env.TX_SECRET,
@@ -366,6 +862,7 @@ function postLineupReminderRun({ cycleId, eventName, runAtIso }) {
 // NOTE: We no longer expose "enabled" in /alerts. We always set enabled=true on save.
 function postAlertsSet({
   team,
+  submittedBy,
   phoneE164,
   freeAgents,
   waiverAwards,
@@ -376,6 +873,7 @@ function postAlertsSet({
     secret: process.env.TX_SECRET,
     action: "ALERTS_SET",
     team,
+    submittedBy,
     phoneE164,
     enabled: true, // keep backend compatibility while removing the user-facing toggle
     freeAgents: !!freeAgents,
@@ -385,185 +883,2223 @@ function postAlertsSet({
   });
 }
 
-// =====================================================
-// Waiver awards runner
-// =====================================================
-async function runWaiverAwardsForEvent(eventName, dateString) {
-  console.log(`🧾 Waiver run triggered for ${eventName} (${dateString})`);
+// ✅ Read-only roster lookup (Rosters tab + PlayerPool Season_T)
+function postRosterGet({ team }) {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "ROSTER_GET",
+    team,
+  });
+}
 
-  const cycleId = dateString;
+// ✅ Read-only player card (Rosters + PlayerPool + MPO/FPO + Transactions)
+function postPlayerGet({ pdga }) {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "PLAYER_GET",
+    pdga,
+  });
+}
 
-  const result = await postWaiverRun({
-    cycleId,
-    eventName,
-    runAtIso: new Date().toISOString(),
+// ✅ Read-only free-agent search (unowned MPO/FPO players, filtered + sorted server-side)
+function postFreeAgentsQuery({ division, registeredNext, maxRank, sort, eventCode }) {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "FREE_AGENTS_QUERY",
+    division: division || "",
+    registeredNext: !!registeredNext,
+    maxRank: maxRank || "",
+    sort: sort || "season",
+    eventCode: eventCode || "",
   });
+}
 
-  if (result.alreadyPosted) {
-    console.log(`ℹ️ Waiver run already posted for cycle ${cycleId}`);
-    return { ok: true, alreadyPosted: true };
-  }
+// ✅ Read-only transaction history (swaps and trade legs grouped into one move)
+function postTransactionsQuery({ team, pdga, player, fromDate, toDate }) {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "TRANSACTIONS_QUERY",
+    team: team || "",
+    pdga: pdga || "",
+    player: player || "",
+    fromDate: fromDate || "",
+    toDate: toDate || "",
+  });
+}
 
-  const channel = await client.channels.fetch(process.env.WAIVER_CHANNEL_ID);
-  if (!channel || !channel.isTextBased()) {
-    throw new Error(
-      "WAIVER_CHANNEL_ID is not a text channel the bot can access."
-    );
-  }
+// ✅ Read-only standings (Standings tab, or one event's LineupHistory totals)
+function postStandingsGet({ eventCode }) {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "STANDINGS_GET",
+    ...(eventCode ? { eventCode } : {}),
+  });
+}
 
-  const header =
-    `🧾 **${result.title}**\n` +
-    `🏟️ Event: **${eventName}**\n` +
-    `📅 Date: **${dateString}**\n\n`;
+// ✅ Discord lineup submission (upserts a SUBMITTED row into Lineups)
+function postLineupSubmit({ team, submittedBy, picks }, outbox) {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "LINEUP_SUBMIT",
+    team,
+    submittedBy,
+    picks,
+  }, outbox);
+}
 
-  const body = Array.isArray(result.lines)
-    ? result.lines.join("\n")
-    : "_No awards returned._";
-  const footer = result.footer ? `\n\n_${result.footer}_` : "";
+function postOwnershipGet() {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "OWNERSHIP_GET",
+  });
+}
 
-  await channel.send(header + body + footer);
-  console.log(
-    `✅ Waiver awards posted to channel ${process.env.WAIVER_CHANNEL_ID}`
-  );
+function postScheduleGet() {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "SCHEDULE_GET",
+  });
+}
 
-  return { ok: true, alreadyPosted: false };
+function postTeamsGet() {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "TEAMS_GET",
+  });
 }
 
-// =====================================================
-// Ready: schedule + refresh
-// =====================================================
-client.once(Events.ClientReady, async () => {
-  console.log(`🤖 Logged in as ${client.user.tag}`);
+// ✅ /admin: League Tools menu operations (rebuilds and lineup locks can be slow;
+// registration refresh and scoring are queued by Apps Script and return at once)
+const ADMIN_ACTION_TIMEOUT_MS = 6 * 60 * 1000;
 
-  cron.schedule(
-    "0 12 * * *",
-    async () => {
-      try {
-        // -----------------------------
-        // Waiver Awards
-        // -----------------------------
-        const todaysWaiverEvents = waiverEventsForToday();
-        if (todaysWaiverEvents.length) {
-          for (const ev of todaysWaiverEvents) {
-            await runWaiverAwardsForEvent(ev.event, ev.date);
-          }
-        }
+function postAdminJobStatus({ jobId, actor }) {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "ADMIN_JOB_STATUS",
+    jobId,
+    actor,
+  });
+}
 
-        // -----------------------------
-        // Lineup Reminders (Discord post)
-        // -----------------------------
-        const todaysLineupReminders = lineupReminderEventsForToday();
-        if (todaysLineupReminders.length) {
-          const channel = await client.channels.fetch(REMINDER_CHANNEL_ID);
-          if (!channel || !channel.isTextBased()) {
-            throw new Error(
-              "REMINDER_CHANNEL_ID / WAIVER_CHANNEL_ID is not a text channel the bot can access."
-            );
-          }
-
-          for (const ev of todaysLineupReminders) {
-            // Log in Apps Script first (dedupe lives there)
-            let result = null;
-            try {
-              result = await postLineupReminderRun({
-                cycleId: ev.date,
-                eventName: ev.event,
-                runAtIso: new Date().toISOString(),
-              });
-            } catch (e) {
-              console.error("❌ LineupReminder log call failed (Apps Script):", e);
-            }
-
-            if (result && result.alreadyPosted) {
-              console.log(
-                `ℹ️ Lineup reminder already posted for cycle ${ev.date} (${ev.event})`
-              );
-              continue;
-            }
-
-            await channel.send(
-              `⏰ **Lineup Reminder**\n` +
-                `🏟️ Event: **${ev.event}**\n` +
-                `📅 Round 1 starts tomorrow.\n\n` +
-                `✅ Please double-check:\n` +
-                `• Your registered players\n` +
-                `• Your lineup / starters\n` +
-                `• Any last-minute swaps\n\n` +
-                `_SMS reminders are controlled via /alerts → lineupreminders (when backend is wired)._`
-            );
-
-            console.log(`✅ Lineup reminder posted for ${ev.event} (${ev.date})`);
-          }
-        }
-      } catch (err) {
-        console.error("Noon ET cron job error:", err);
-      }
+function postAdminAction({ action, eventCode, actor }) {
+  return postJson_(
+    {
+      secret: process.env.TX_SECRET,
+      action,
+      ...(eventCode ? { eventCode } : {}),
+      actor,
     },
-    { timezone: "America/New_York" }
+    null,
+    ADMIN_ACTION_TIMEOUT_MS
   );
+}
 
-  // Initial PlayerPool load
-  try {
-    await refreshPlayerPool();
-  } catch (e) {
-    console.error("❌ Initial PlayerPool refresh failed:", e);
-  }
+// ✅ Commissioner reversal: mode "preview" (roster diff) or "commit" (REVERSAL rows + rebuild)
+function postTransactionReverse({ transactionId, mode, notes, actor }) {
+  return postJson_(
+    {
+      secret: process.env.TX_SECRET,
+      action: "TRANSACTION_REVERSE",
+      transactionId,
+      mode,
+      notes: notes || "",
+      actor,
+    },
+    null,
+    ADMIN_ACTION_TIMEOUT_MS
+  );
+}
 
-  // Refresh PlayerPool every 6 hours
-  setInterval(async () => {
-    try {
+// ✅ TeamManagers (Discord user -> team); writes are commissioner-only in the bot
+function postManagersGet() {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "MANAGERS_GET",
+  });
+}
+
+function postManagersSet({ discordUserId, team, displayName, updatedBy }) {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "MANAGERS_SET",
+    discordUserId,
+    team,
+    displayName,
+    updatedBy,
+    actor: updatedBy,
+  });
+}
+
+function postManagersRemove({ discordUserId, updatedBy }) {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "MANAGERS_REMOVE",
+    discordUserId,
+    updatedBy,
+    actor: updatedBy,
+  });
+}
+
+// ✅ Commissioners tab (one list for the bot's gate and doPost's re-check)
+function postCommissionersGet() {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "COMMISSIONERS_GET",
+  });
+}
+
+function postCommissionersSet({ discordUserId, displayName, updatedBy }) {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "COMMISSIONERS_SET",
+    discordUserId,
+    displayName,
+    updatedBy,
+    actor: updatedBy,
+  });
+}
+
+function postCommissionersRemove({ discordUserId, updatedBy }) {
+  return postJson_({
+    secret: process.env.TX_SECRET,
+    action: "COMMISSIONERS_REMOVE",
+    discordUserId,
+    updatedBy,
+    actor: updatedBy,
+  });
+}
+
+// =====================================================
+// Durable outbox (transaction / trade response / waiver / lineup writes)
+// =====================================================
+// Every write gets a client-generated requestId and is saved to OUTBOX_FILE before the
+// first attempt. Transient failures (timeout, network, non-JSON) retry with backoff using
+// the same requestId; an Apps Script ok:false answer is final. Entries still pending when
+// the bot stops are resumed on the next start and the outcome is DMed to the submitter.
+const OUTBOX_FILE = process.env.OUTBOX_FILE || path.join(__dirname, "outbox.json");
+const OUTBOX_BACKOFF_MS = [2000, 5000, 15000, 30000, 60000];
+const OUTBOX_MAX_ATTEMPTS = OUTBOX_BACKOFF_MS.length + 1;
+
+// requestId -> { requestId, label, payload, notifyUserId, attempts, createdAt, lastError }
+const outboxEntries = new Map();
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// Local JSON state files (outbox, scheduler state); a missing file reads as fallback
+function readJsonFile(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    if (e?.code !== "ENOENT") console.error(`❌ Could not read ${file}:`, e);
+    return fallback;
+  }
+}
+
+// Write-then-rename so a crash mid-save never leaves a truncated file behind
+function writeJsonFile(file, value) {
+  const tmp = `${file}.tmp`;
+  try {
+    fs.writeFileSync(tmp, JSON.stringify(value, null, 2));
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    console.error(`❌ Could not write ${file}:`, e);
+  }
+}
+
+function loadOutbox() {
+  const list = readJsonFile(OUTBOX_FILE, []);
+  for (const e of Array.isArray(list) ? list : []) {
+    if (e?.requestId && e?.payload) outboxEntries.set(e.requestId, e);
+  }
+}
+
+function saveOutbox() {
+  writeJsonFile(OUTBOX_FILE, [...outboxEntries.values()]);
+}
+
+async function deliverOutboxEntry(entry, onRetry) {
+  for (;;) {
+    entry.attempts++;
+    saveOutbox();
+
+    try {
+      const json = await postJson_({
+        ...entry.payload,
+        secret: process.env.TX_SECRET,
+        requestId: entry.requestId,
+      });
+      outboxEntries.delete(entry.requestId);
+      saveOutbox();
+      return json;
+    } catch (err) {
+      if (!err?.transient || entry.attempts >= OUTBOX_MAX_ATTEMPTS) {
+        outboxEntries.delete(entry.requestId);
+        saveOutbox();
+        if (err?.transient) {
+          err.message =
+            `${entry.label}: gave up after ${entry.attempts} attempts (${err.message}). ` +
+            `It may or may not have been saved — check before resubmitting.`;
+        }
+        throw err;
+      }
+
+      entry.lastError = String(err.message);
+      const waitMs = OUTBOX_BACKOFF_MS[entry.attempts - 1];
+      console.warn(
+        `⚠️ Outbox ${entry.requestId} (${entry.label}) attempt ${entry.attempts} failed: ` +
+          `${entry.lastError}; retrying in ${waitMs / 1000}s`
+      );
+      if (onRetry) {
+        Promise.resolve(onRetry(entry.attempts + 1, OUTBOX_MAX_ATTEMPTS)).catch(() => {});
+      }
+      await sleep(waitMs);
+    }
+  }
+}
+
+// Called by postJson_ when an outbox option is passed; resolves/rejects with the final outcome
+function outboxSend(payload, { label, notifyUserId, onRetry } = {}) {
+  const stored = { ...payload };
+  delete stored.secret; // the secret stays in .env, not on disk
+
+  const entry = {
+    requestId: crypto.randomUUID(),
+    label: label || stored.action || stored.type || "Write",
+    payload: stored,
+    notifyUserId: String(notifyUserId || ""),
+    attempts: 0,
+    createdAt: new Date().toISOString(),
+    lastError: "",
+  };
+  outboxEntries.set(entry.requestId, entry);
+  return deliverOutboxEntry(entry, onRetry);
+}
+
+async function notifyOutboxUser(userId, text) {
+  if (!userId) return;
+  try {
+    const user = await client.users.fetch(userId);
+    await user.send(text);
+  } catch (e) {
+    console.error(`❌ Could not DM outbox result to ${userId}:`, e);
+  }
+}
+
+// Startup: finish writes that were still in flight when the bot last stopped
+async function resumeOutbox() {
+  const pending = [...outboxEntries.values()];
+  if (!pending.length) return;
+  console.log(`📤 Resuming ${pending.length} pending outbox write(s)`);
+
+  for (const entry of pending) {
+    let text;
+    try {
+      await deliverOutboxEntry(entry);
+      text = `✅ **${entry.label}** went through after a bot restart.`;
+    } catch (err) {
+      text = `❌ **${entry.label}** failed after a bot restart: ${String(err?.message || err)}`;
+    }
+    console.log(`📤 Outbox ${entry.requestId}: ${text}`);
+    await notifyOutboxUser(entry.notifyUserId, text);
+  }
+}
+
+loadOutbox();
+
+// =====================================================
+// Waiver award embeds
+// =====================================================
+const EMBED_FIELD_VALUE_MAX = 1024;
+const EMBED_MAX_FIELDS = 25;
+const EMBED_FIELDS_CHAR_BUDGET = 5000; // leaves room for title/description/footer under 6000
+
+// Greedy line packing; a single over-long line is truncated rather than dropped
+function chunkLines(lines, max) {
+  const chunks = [];
+  let cur = "";
+  for (const raw of lines) {
+    const line = raw.length > max ? raw.slice(0, max - 1) + "…" : raw;
+    if (cur && cur.length + 1 + line.length > max) {
+      chunks.push(cur);
+      cur = "";
+    }
+    cur = cur ? `${cur}\n${line}` : line;
+  }
+  if (cur) chunks.push(cur);
+  return chunks;
+}
+
+function waiverAwardFields(result) {
+  const fields = [];
+  const pushChunked = (name, lines) => {
+    chunkLines(lines, EMBED_FIELD_VALUE_MAX).forEach((value, i) =>
+      fields.push({ name: i === 0 ? name : `${name} (cont.)`, value })
+    );
+  };
+
+  const isFaab = result.mode === "FAAB";
+  const rounds = Array.isArray(result.rounds) ? result.rounds : [];
+  for (const r of rounds) {
+    pushChunked(
+      isFaab ? "Awards (highest bid wins)" : `Round ${r.round}`,
+      r.awards.map(
+        (a) =>
+          `\`#${a.priority}\` **${a.team}** — ${a.name} (${a.pdga})` +
+          (a.bid != null ? ` · **$${a.bid}**` : "")
+      )
+    );
+  }
+  if (!rounds.length) {
+    fields.push({ name: "Awards", value: "_No players were awarded this cycle._" });
+  }
+
+  const noPick = Array.isArray(result.noValidPick) ? result.noValidPick : [];
+  if (noPick.length) {
+    pushChunked(
+      "No valid pick",
+      noPick.map((t) => `\`#${t.priority}\` ${t.team}`)
+    );
+  }
+
+  const skipped = Array.isArray(result.skipped) ? result.skipped : [];
+  if (skipped.length) {
+    pushChunked(
+      "Skipped bids (over budget)",
+      skipped.map((x) => `**${x.team}** — ${x.name} (${x.pdga}) · $${x.bid}: ${x.reason}`)
+    );
+  }
+
+  return fields;
+}
+
+// "💰 FAAB: $X of $Y left" for WAIVER_GET / WAIVER_SUBMIT results in FAAB seasons, else ""
+function faabBudgetLine(result) {
+  const f = result?.faab;
+  if (!f) return "";
+  return `💰 FAAB: **$${f.remaining}** of $${f.budget} left (bids are blind; charged only if you win)\n`;
+}
+
+// Splits the award fields across as many embeds as needed (page x/y in the title)
+function renderWaiverAwardEmbeds(result, eventName, dateString) {
+  const pages = [[]];
+  let used = 0;
+  for (const f of waiverAwardFields(result)) {
+    const size = f.name.length + f.value.length;
+    const page = pages[pages.length - 1];
+    if (page.length && (page.length >= EMBED_MAX_FIELDS || used + size > EMBED_FIELDS_CHAR_BUDGET)) {
+      pages.push([]);
+      used = 0;
+    }
+    pages[pages.length - 1].push(f);
+    used += size;
+  }
+
+  return pages.map((fields, i) => {
+    const title =
+      pages.length > 1
+        ? `🧾 ${result.title} (${i + 1}/${pages.length})`
+        : `🧾 ${result.title}`;
+
+    const embed = new EmbedBuilder().setTitle(title).addFields(fields);
+    if (i === 0) {
+      embed.setDescription(
+        `🏟️ Event: **${eventName}**\n📅 Date: **${dateString}**\n` +
+          (result.mode === "FAAB"
+            ? `_FAAB blind bids. Ties go to the higher \`#N\` waiver priority._`
+            : `_\`#N\` = team's waiver priority label for this cycle._`)
+      );
+    }
+    if (i === pages.length - 1 && result.footer) embed.setFooter({ text: result.footer });
+    return embed;
+  });
+}
+
+// =====================================================
+// Waiver awards runner
+// =====================================================
+async function runWaiverAwardsForEvent(eventName, dateString, actor = "system:noon-cron") {
+  console.log(`🧾 Waiver run triggered for ${eventName} (${dateString}) by ${actor}`);
+
+  const cycleId = dateString;
+
+  const result = await postWaiverRun({
+    cycleId,
+    eventName,
+    runAtIso: new Date().toISOString(),
+    actor,
+  });
+
+  if (result.alreadyPosted) {
+    console.log(`ℹ️ Waiver run already posted for cycle ${cycleId}`);
+    return { ok: true, alreadyPosted: true };
+  }
+  if (result.reposting) {
+    // Logged earlier but still UNPOSTED: the post never landed (or only some pages did)
+    console.log(`🔁 Waiver awards for cycle ${cycleId} were logged but not posted; posting now`);
+    await deleteStaleAwardPages(result.staleChannelId, result.staleMessageIds || []);
+  }
+
+  // The run cleared every On Waivers hold
+  invalidateRosterCache();
+
+  const channel = await client.channels.fetch(process.env.WAIVER_CHANNEL_ID);
+  if (!channel || !channel.isTextBased()) {
+    throw new Error(
+      "WAIVER_CHANNEL_ID is not a text channel the bot can access."
+    );
+  }
+
+  const embeds = renderWaiverAwardEmbeds(result, eventName, dateString);
+
+  // One embed per message keeps every post under Discord's 6000-char message cap.
+  // Awards are already logged at this point, so a failed send must be loud.
+  const messageIds = [];
+  for (const embed of embeds) {
+    try {
+      const msg = await channel.send({ embeds: [embed] });
+      messageIds.push(msg.id);
+    } catch (e) {
+      if (messageIds.length) {
+        // Remember the pages that did go out so the retry can replace them instead of duplicating
+        await postWaiverAwardsSetMessage({ cycleId, channelId: channel.id, messageIds, partial: true }).catch(
+          (e2) => console.error(`❌ Could not record partial award post for cycle ${cycleId}:`, e2)
+        );
+      }
+      throw new Error(
+        `Waiver awards for cycle ${cycleId} were logged but posting failed after ` +
+          `${messageIds.length}/${embeds.length} message(s): ${String(e?.message || e)}`
+      );
+    }
+  }
+  console.log(
+    `✅ Waiver awards posted to channel ${process.env.WAIVER_CHANNEL_ID} (${messageIds.length} message(s))`
+  );
+
+  try {
+    await postWaiverAwardsSetMessage({
+      cycleId,
+      channelId: channel.id,
+      messageIds,
+    });
+  } catch (e) {
+    console.error(`❌ Could not record award message ids for cycle ${cycleId}:`, e);
+  }
+
+  return { ok: true, alreadyPosted: false, reposted: !!result.reposting };
+}
+
+// Best effort: a page that can't be deleted stays up next to the full repost
+async function deleteStaleAwardPages(channelId, messageIds) {
+  if (!channelId || !messageIds.length) return;
+  try {
+    const channel = await client.channels.fetch(channelId);
+    if (!channel || !channel.isTextBased()) return;
+    for (const id of messageIds) {
+      await channel.messages.delete(id).catch((e) => console.error(`❌ Could not delete award page ${id}:`, e));
+    }
+  } catch (e) {
+    console.error(`❌ Could not clean up partial award post in ${channelId}:`, e);
+  }
+}
+
+// =====================================================
+// Noon ET jobs (waiver awards + lineup reminders)
+// =====================================================
+// Each job records its success in the scheduler state file (see catchUpMissedJobs)
+async function runWaiverJob(ev, actor = "system:noon-cron") {
+  const result = await runWaiverAwardsForEvent(ev.event, ev.date, actor);
+  const status = result.alreadyPosted ? "already posted" : result.reposted ? "posted (retry of a logged run)" : "posted";
+  recordJobDone("waiver", ev, status);
+  return status;
+}
+
+async function runLineupReminderJob(ev) {
+  const channel = await client.channels.fetch(REMINDER_CHANNEL_ID);
+  if (!channel || !channel.isTextBased()) {
+    throw new Error(
+      "REMINDER_CHANNEL_ID / WAIVER_CHANNEL_ID is not a text channel the bot can access."
+    );
+  }
+
+  // Log in Apps Script first (dedupe lives there)
+  let result = null;
+  try {
+    result = await postLineupReminderRun({
+      cycleId: ev.date,
+      eventName: ev.event,
+      runAtIso: new Date().toISOString(),
+    });
+  } catch (e) {
+    console.error("❌ LineupReminder log call failed (Apps Script):", e);
+  }
+
+  if (result && result.alreadyPosted) {
+    console.log(`ℹ️ Lineup reminder already posted for cycle ${ev.date} (${ev.event})`);
+    recordJobDone("reminder", ev, "already posted");
+    return "already posted";
+  }
+
+  const daysUntilStart = Math.round(
+    DateTime.fromISO(ev.startDate, { zone: "America/New_York" })
+      .diff(DateTime.fromISO(ev.date, { zone: "America/New_York" }), "days").days
+  );
+  const startsWhen =
+    daysUntilStart <= 0 ? "today" : daysUntilStart === 1 ? "tomorrow" : `in ${daysUntilStart} days`;
+
+  await channel.send(
+    `⏰ **Lineup Reminder**\n` +
+      `🏟️ Event: **${ev.event}**\n` +
+      `📅 Round 1 starts ${startsWhen}.\n\n` +
+      `✅ Please double-check:\n` +
+      `• Your registered players\n` +
+      `• Your lineup / starters\n` +
+      `• Any last-minute swaps\n\n` +
+      `_SMS reminders are controlled via /alerts → lineupreminders (when backend is wired)._`
+  );
+
+  console.log(`✅ Lineup reminder posted for ${ev.event} (${ev.date})`);
+  recordJobDone("reminder", ev, "posted");
+  return "posted";
+}
+
+// Returns a one-line summary for /status; throws if a job fails.
+async function runNoonJobs() {
+  // Pick up ScoringConfig edits before deciding what runs today (cached copy if this fails)
+  try {
+    await refreshSchedule();
+  } catch (e) {
+    console.error(
+      `❌ Schedule refresh failed; using copy from ${new Date(scheduleFetchedAt).toISOString()}:`,
+      e
+    );
+  }
+
+  const todaysWaiverEvents = waiverEventsForToday();
+  for (const ev of todaysWaiverEvents) {
+    await runWaiverJob(ev);
+  }
+
+  const todaysLineupReminders = lineupReminderEventsForToday();
+  for (const ev of todaysLineupReminders) {
+    await runLineupReminderJob(ev);
+  }
+
+  const parts = [];
+  if (todaysWaiverEvents.length) parts.push(`${todaysWaiverEvents.length} waiver run(s)`);
+  if (todaysLineupReminders.length) parts.push(`${todaysLineupReminders.length} lineup reminder(s)`);
+  return parts.length ? parts.join(", ") : "nothing scheduled";
+}
+
+// =====================================================
+// Scheduler state + startup catch-up
+// =====================================================
+// The noon cron only fires if the process is up at 12:00 ET. Every finished job is
+// recorded in SCHEDULER_STATE_FILE; on startup (and every 6h) any waiver run or lineup
+// reminder whose noon has passed without a record is run now. Apps Script's alreadyPosted
+// dedupe makes re-running a job that did post (but wasn't recorded) harmless; a waiver
+// cycle still marked UNPOSTED comes back for posting again. Without a state file (first
+// start) every job already past is recorded as seeded instead of being caught up.
+const SCHEDULER_STATE_FILE =
+  process.env.SCHEDULER_STATE_FILE || path.join(__dirname, "scheduler-state.json");
+const SCHEDULER_CATCHUP_DAYS = Number(process.env.SCHEDULER_CATCHUP_DAYS || 7);
+const SCHEDULER_STATE_KEEP_DAYS = 60;
+
+// jobs: "waiver:2026-03-10:SFO" -> { status, at }
+let schedulerState = { jobs: {} };
+let schedulerNeedsSeed = false;
+
+function loadSchedulerState() {
+  const state = readJsonFile(SCHEDULER_STATE_FILE, null);
+  schedulerNeedsSeed = !state;
+  schedulerState = { jobs: state && typeof state.jobs === "object" ? state.jobs : {} };
+}
+
+// First start: treat everything whose noon has passed as done (needs the schedule loaded)
+function seedSchedulerState(now) {
+  const at = new Date().toISOString();
+  let seeded = 0;
+  for (const [kind, list] of [["waiver", schedule.waivers], ["reminder", schedule.reminders]]) {
+    for (const ev of list) {
+      const noon = DateTime.fromISO(ev.date, { zone: "America/New_York" }).set({ hour: 12 });
+      if (noon > now) continue;
+      schedulerState.jobs[schedulerJobKey(kind, ev)] = { status: "seeded (before first start)", at };
+      seeded++;
+    }
+  }
+  schedulerNeedsSeed = false;
+  writeJsonFile(SCHEDULER_STATE_FILE, schedulerState);
+  console.log(`🗓️ Scheduler state seeded with ${seeded} past job(s); nothing to catch up on first start`);
+}
+
+function schedulerJobKey(kind, ev) {
+  return `${kind}:${ev.date}:${ev.eventCode || ev.event}`;
+}
+
+function recordJobDone(kind, ev, status) {
+  const cutoff = DateTime.now()
+    .setZone("America/New_York")
+    .minus({ days: SCHEDULER_STATE_KEEP_DAYS })
+    .toFormat("yyyy-LL-dd");
+  for (const k of Object.keys(schedulerState.jobs)) {
+    if (k.split(":")[1] < cutoff) delete schedulerState.jobs[k];
+  }
+
+  schedulerState.jobs[schedulerJobKey(kind, ev)] = { status, at: new Date().toISOString() };
+  writeJsonFile(SCHEDULER_STATE_FILE, schedulerState);
+}
+
+// Due = its 12:00 ET has passed, within the catch-up window, and not yet recorded
+function jobIsOverdue(kind, ev, now) {
+  if (schedulerState.jobs[schedulerJobKey(kind, ev)]) return false;
+  const noon = DateTime.fromISO(ev.date, { zone: "America/New_York" }).set({ hour: 12 });
+  return noon <= now && noon >= now.minus({ days: SCHEDULER_CATCHUP_DAYS });
+}
+
+async function postAdminReport(text) {
+  console.log(text);
+  if (!ADMIN_CHANNEL_ID) return;
+  try {
+    const channel = await client.channels.fetch(ADMIN_CHANNEL_ID);
+    if (channel?.isTextBased()) await channel.send(text.slice(0, 2000));
+  } catch (e) {
+    console.error("❌ Could not post to ADMIN_CHANNEL_ID:", e);
+  }
+}
+
+let catchUpRunning = false;
+
+async function catchUpMissedJobs() {
+  if (catchUpRunning) return;
+  catchUpRunning = true;
+  try {
+    const now = DateTime.now().setZone("America/New_York");
+    const today = now.toFormat("yyyy-LL-dd");
+    const lines = [];
+    let failed = false;
+
+    if (schedulerNeedsSeed) return seedSchedulerState(now);
+
+    for (const ev of schedule.waivers.filter((x) => jobIsOverdue("waiver", x, now))) {
+      try {
+        const status = await runWaiverJob(ev, "system:catch-up");
+        lines.push(`✅ Waiver run ${ev.date} (${ev.event}): ${status}`);
+      } catch (e) {
+        failed = true;
+        lines.push(`❌ Waiver run ${ev.date} (${ev.event}): ${String(e?.message || e)}`);
+      }
+    }
+
+    for (const ev of schedule.reminders.filter((x) => jobIsOverdue("reminder", x, now))) {
+      // A reminder for an event that has already started is just noise
+      if (ev.startDate <= today) {
+        recordJobDone("reminder", ev, "skipped (event started)");
+        lines.push(`⏭️ Lineup reminder ${ev.date} (${ev.event}): skipped, event already started`);
+        continue;
+      }
+
+      try {
+        const status = await runLineupReminderJob(ev);
+        lines.push(`✅ Lineup reminder ${ev.date} (${ev.event}): ${status}`);
+      } catch (e) {
+        failed = true;
+        lines.push(`❌ Lineup reminder ${ev.date} (${ev.event}): ${String(e?.message || e)}`);
+      }
+    }
+
+    if (!lines.length) return;
+
+    health.cron = {
+      lastRunAt: new Date().toISOString(),
+      ok: !failed,
+      summary: failed ? "" : `catch-up: ${lines.length} job(s)`,
+      error: failed ? "catch-up had failures (see admin channel)" : null,
+    };
+    await postAdminReport(`🛠️ **Scheduler catch-up** (missed while the bot was down)\n${lines.join("\n")}`);
+  } finally {
+    catchUpRunning = false;
+  }
+}
+
+loadSchedulerState();
+
+// =====================================================
+// Ready: schedule + refresh
+// =====================================================
+client.once(Events.ClientReady, async () => {
+  console.log(`🤖 Logged in as ${client.user.tag}`);
+
+  resumeOutbox().catch((e) => console.error("❌ Outbox resume failed:", e));
+
+  cron.schedule(
+    "0 12 * * *",
+    async () => {
+      const runAt = new Date().toISOString();
+      try {
+        const summary = await runNoonJobs();
+        health.cron = { lastRunAt: runAt, ok: true, summary, error: null };
+      } catch (err) {
+        console.error("Noon ET cron job error:", err);
+        health.cron = { lastRunAt: runAt, ok: false, summary: "", error: String(err?.message || err) };
+      }
+    },
+    { timezone: "America/New_York" }
+  );
+
+  // Warm the teams + managers + ownership caches so the first command doesn't wait on them
+  refreshTeams().catch((e) => console.error("❌ Initial teams refresh failed:", e));
+  refreshOwnership().catch((e) =>
+    console.error("❌ Initial ownership refresh failed:", e)
+  );
+  refreshManagers().catch((e) =>
+    console.error("❌ Initial managers refresh failed:", e)
+  );
+  refreshCommissioners()
+    .then((ids) => {
+      if (!ids.size) {
+        console.warn(
+          "⚠️ No commissioners configured: add your Discord user id to the Commissioners tab (DiscordUserId), then use /commissioners add."
+        );
+      }
+    })
+    .catch((e) => console.error("❌ Initial commissioners refresh failed:", e));
+
+  // Initial PlayerPool load
+  try {
+    await refreshPlayerPool();
+  } catch (e) {
+    console.error("❌ Initial PlayerPool refresh failed:", e);
+  }
+
+  // Expire stale trade proposals and update their posts
+  setInterval(() => {
+    expireTradeProposals().catch((e) =>
+      console.error("❌ Trade proposal expiry failed:", e)
+    );
+  }, TRADE_PROPOSAL_SWEEP_MS);
+
+  // Initial schedule load (waiver cycles + lineup reminders), then run anything missed while down
+  try {
+    await refreshSchedule();
+    await catchUpMissedJobs();
+  } catch (e) {
+    console.error("❌ Initial schedule refresh / catch-up failed:", e);
+  }
+
+  // Refresh PlayerPool + schedule every 6 hours
+  setInterval(async () => {
+    try {
       await refreshPlayerPool();
     } catch (e) {
-      console.error("❌ PlayerPool refresh failed:", e);
+      console.error("❌ PlayerPool refresh failed:", e);
+    }
+    try {
+      await refreshSchedule();
+      await catchUpMissedJobs();
+    } catch (e) {
+      console.error("❌ Schedule refresh / catch-up failed:", e);
+    }
+  }, 6 * 60 * 60 * 1000);
+});
+
+// =====================================================
+// Trade helpers
+// =====================================================
+const TRADE_MAX_PLAYERS_PER_SIDE = 4;
+
+// player_a, player_a2..player_a4 -> ["Name", ...] (blanks skipped)
+function tradeSidePlayers(interaction, baseName) {
+  const out = [];
+  for (let i = 1; i <= TRADE_MAX_PLAYERS_PER_SIDE; i++) {
+    const optName = i === 1 ? baseName : `${baseName}${i}`;
+    const v = interaction.options.getString(optName, i === 1);
+    if (v) out.push(v);
+  }
+  return out;
+}
+
+// =====================================================
+// Trade proposals (Accept / Reject / Cancel buttons)
+// =====================================================
+const TRADE_PROPOSAL_TTL_HOURS = Number(process.env.TRADE_PROPOSAL_TTL_HOURS || 24);
+const TRADE_PROPOSAL_SWEEP_MS = 10 * 60 * 1000;
+
+const TRADE_STATUS_LABELS = {
+  PENDING: "⏳ Pending",
+  ACCEPTED: "✅ Accepted",
+  REJECTED: "🚫 Rejected",
+  CANCELLED: "🗑️ Cancelled",
+  EXPIRED: "⌛ Expired",
+  FAILED: "❌ Failed",
+};
+
+// customId: trade:<accept|reject|cancel>:<proposalId>[:lock] (":lock" = commissioner lock override)
+function tradeProposalButtons(proposalId, lockOverride = false) {
+  return new ActionRowBuilder().addComponents(
+    new ButtonBuilder()
+      .setCustomId(`trade:accept:${proposalId}${lockOverride ? ":lock" : ""}`)
+      .setLabel("Accept")
+      .setStyle(ButtonStyle.Success),
+    new ButtonBuilder()
+      .setCustomId(`trade:reject:${proposalId}`)
+      .setLabel("Reject")
+      .setStyle(ButtonStyle.Danger),
+    new ButtonBuilder()
+      .setCustomId(`trade:cancel:${proposalId}`)
+      .setLabel("Cancel")
+      .setStyle(ButtonStyle.Secondary)
+  );
+}
+
+// Same message body for every status; buttons only while PENDING
+function renderTradeProposal(p) {
+  const legs = Array.isArray(p.legs) ? p.legs : [];
+  const sentByA = legs.filter((l) => l.fromTeam === p.teamA).map((l) => l.name);
+  const sentByB = legs.filter((l) => l.fromTeam === p.teamB).map((l) => l.name);
+
+  const expiresTs = Math.floor(new Date(p.expiresAt).getTime() / 1000);
+  const status = TRADE_STATUS_LABELS[p.status] || p.status;
+
+  const lines = [
+    `🤝 **Trade Proposal** (${sentByA.length}-for-${sentByB.length}) — ${status}`,
+    `➡️ **${p.teamA}** sends: ${sentByA.join(", ") || "—"}`,
+    `⬅️ **${p.teamB}** sends: ${sentByB.join(", ") || "—"}`,
+  ];
+  if (p.notes) lines.push(`📝 Notes: ${p.notes}`);
+  lines.push(`👤 Proposed by: <@${p.proposedBy}>`);
+  if (p.lockOverride) lines.push("🔓 Commissioner override: allowed during the roster lock");
+
+  if (p.status === "PENDING") {
+    if (Number.isFinite(expiresTs)) lines.push(`⌛ Expires <t:${expiresTs}:R>`);
+    lines.push(`_Waiting on **${p.teamB}** to accept or reject._`);
+  } else if (p.respondedBy && p.status !== "EXPIRED") {
+    lines.push(`🗳️ ${status} by <@${p.respondedBy}>`);
+  }
+  if (p.status === "ACCEPTED") lines.push("_Trade logged and rosters rebuilt._");
+  if (p.status === "FAILED" && p.error) lines.push(`⚠️ ${p.error}`);
+
+  return {
+    content: lines.join("\n"),
+    components: p.status === "PENDING" ? [tradeProposalButtons(p.proposalId, p.lockOverride)] : [],
+  };
+}
+
+async function handleTradeProposalButton(interaction) {
+  const [, action, proposalId, flag] = interaction.customId.split(":");
+
+  await interaction.deferUpdate();
+
+  // The reply is the public proposal post, so retries go to one ephemeral follow-up edited in place
+  let retryNotice = null;
+
+  let result;
+  try {
+    result = await postTradeProposalRespond({
+      proposalId,
+      response: action.toUpperCase(),
+      respondedBy: interaction.user.id,
+      lockOverride: flag === "lock",
+    }, {
+      label: `Trade proposal ${proposalId} (${action})`,
+      notifyUserId: interaction.user.id,
+      onRetry: async (attempt, max) => {
+        const content = `⏳ Apps Script is slow — retrying (${attempt}/${max})…`;
+        if (!retryNotice) {
+          retryNotice = interaction.followUp({ content, ephemeral: true });
+          return retryNotice;
+        }
+        return interaction.editReply({ message: await retryNotice, content });
+      },
+    });
+  } catch (err) {
+    // Status already moved on (expired / accepted elsewhere / failed re-validation): refresh the post
+    const proposal = err?.response?.proposal;
+    if (proposal) await interaction.editReply(renderTradeProposal(proposal));
+    return interaction.followUp({
+      content: `❌ ${String(err?.message || err)}`,
+      ephemeral: true,
+    });
+  }
+
+  const p = result.proposal;
+  if (p.status === "ACCEPTED") invalidateRosterCache(p.teamA, p.teamB);
+
+  return interaction.editReply(renderTradeProposal(p));
+}
+
+async function expireTradeProposals() {
+  const { expired } = await postTradeProposalsExpire();
+
+  for (const p of expired || []) {
+    if (!p.channelId || !p.messageId) continue;
+    try {
+      const channel = await client.channels.fetch(p.channelId);
+      if (!channel || !channel.isTextBased()) continue;
+      const msg = await channel.messages.fetch(p.messageId);
+      await msg.edit(renderTradeProposal(p));
+    } catch (e) {
+      console.error(`❌ Could not update expired trade proposal ${p.proposalId}:`, e);
+    }
+  }
+}
+
+// =====================================================
+// Confirm-before-commit previews (/transaction, /trade, /transaction_reverse)
+// =====================================================
+const PREVIEW_TTL_MS = 10 * 60 * 1000;
+const pendingPreviews = new Map(); // token -> { kind, userId, tx | trade | reversal, createdAt }
+
+function storePreview(entry) {
+  const now = Date.now();
+  for (const [k, v] of pendingPreviews) {
+    if (now - v.createdAt > PREVIEW_TTL_MS) pendingPreviews.delete(k);
+  }
+
+  const token = crypto.randomUUID().replace(/-/g, "").slice(0, 16);
+  pendingPreviews.set(token, { ...entry, createdAt: now });
+  return token;
+}
+
+// Validate-mode calls return ok:false with errors + details; keep both for the preview
+async function runValidation(promise) {
+  try {
+    const res = await promise;
+    return { ok: true, errors: [], details: res.details || {} };
+  } catch (err) {
+    if (!err?.response) throw err;
+    const r = err.response;
+    return {
+      ok: false,
+      errors: Array.isArray(r.errors) && r.errors.length ? r.errors : [r.error || err.message],
+      details: r.details || {},
+    };
+  }
+}
+
+function validateTransaction({ team, notes, submittedBy, lockOverride, drop, add }) {
+  if (drop && add) {
+    return runValidation(
+      postSwap({
+        team,
+        dropPdga: drop.pdga,
+        dropName: drop.name,
+        addPdga: add.pdga,
+        addName: add.name,
+        notes,
+        submittedBy,
+        lockOverride,
+        mode: "validate",
+      })
+    );
+  }
+
+  const p = drop || add;
+  return runValidation(
+    postTransactionRow({
+      type: drop ? "DROP" : "ADD",
+      team,
+      pdga: p.pdga,
+      name: p.name,
+      fromTeam: drop ? team : FREE,
+      toTeam: drop ? FREE : team,
+      notes,
+      submittedBy,
+      lockOverride,
+      mode: "validate",
+    })
+  );
+}
+
+// Roster lock window from validate details (trades carry it on the batch)
+function rosterLockLine(details) {
+  const lock = details?.rosterLock;
+  if (!lock) return null;
+  const reopens = Math.floor(Date.parse(lock.reopensAt) / 1000);
+  if (lock.overridden) {
+    return `🔓 Commissioner override: rosters are locked for ${lock.eventCode} until <t:${reopens}:f>.`;
+  }
+  return `🔒 Roster moves reopen <t:${reopens}:F> (<t:${reopens}:R>).`;
+}
+
+function previewErrorLines(verdict) {
+  if (verdict.ok) return [];
+  const lock = rosterLockLine(verdict.details);
+  return [
+    "",
+    "⚠️ **Cannot submit:**",
+    ...verdict.errors.map((e) => `• ${e}`),
+    ...(lock ? [lock] : []),
+  ];
+}
+
+function renderTransactionPreview(tx, verdict) {
+  const d = verdict.details || {};
+  const isSwap = !!(tx.drop && tx.add);
+  const lines = [`🔎 **Preview — ${isSwap ? "SWAP" : tx.drop ? "DROP" : "ADD"}** for **${tx.team}**`];
+
+  if (tx.drop) {
+    const owner = isSwap ? d.dropCurrentOwner : d.currentOwner;
+    lines.push(`⬇️ **DROP**: ${tx.drop.name} (#${tx.drop.pdga}) → **${FREE}** · owner: ${owner || "none"}`);
+  }
+  if (tx.add) {
+    const owner = isSwap ? d.addCurrentOwner : d.currentOwner;
+    lines.push(`⬆️ **ADD**: ${tx.add.name} (#${tx.add.pdga}) ← **${FREE}** · owner: ${owner || FREE}`);
+  }
+  if (d.rosterCountAfter != null) {
+    lines.push(`📋 ${tx.team} roster after: **${d.rosterCountAfter}/${d.maxRoster || "?"}**`);
+  }
+  if (tx.notes) lines.push(`📝 Notes: ${tx.notes}`);
+  if (verdict.ok && d.rosterLock?.overridden) lines.push(rosterLockLine(d));
+
+  lines.push(...previewErrorLines(verdict));
+  if (verdict.ok) lines.push("", "_Nothing is saved until you press Confirm._");
+  return lines.join("\n");
+}
+
+function renderTradePreview(trade, verdict) {
+  const d = verdict.details || {};
+  const legDetails = Array.isArray(d.legs) ? d.legs : [];
+  const ownerOf = (pdga) => legDetails.find((x) => x && x.pdga === pdga)?.currentOwner || "none";
+
+  const side = (team) =>
+    trade.legs
+      .filter((l) => l.fromTeam === team)
+      .map((l) => `${l.name} (owner: ${ownerOf(l.pdga)})`)
+      .join(", ");
+
+  const sentA = trade.legs.filter((l) => l.fromTeam === trade.teamA).length;
+  const sentB = trade.legs.length - sentA;
+
+  const lines = [
+    `🔎 **Trade Preview** (${sentA}-for-${sentB})`,
+    `➡️ **${trade.teamA}** sends: ${side(trade.teamA)}`,
+    `⬅️ **${trade.teamB}** sends: ${side(trade.teamB)}`,
+  ];
+
+  const after = d.rosterCountsAfter || {};
+  if (Object.keys(after).length) {
+    const max = d.maxRoster || "?";
+    lines.push(
+      `📋 Rosters after: ` +
+        [trade.teamA, trade.teamB].map((t) => `${t} **${after[t]}/${max}**`).join(" · ")
+    );
+  }
+  if (trade.notes) lines.push(`📝 Notes: ${trade.notes}`);
+  if (verdict.ok && d.rosterLock?.overridden) lines.push(rosterLockLine(d));
+
+  lines.push(...previewErrorLines(verdict));
+  if (verdict.ok) lines.push("", `_Confirm sends this proposal to **${trade.teamB}**._`);
+  return lines.join("\n");
+}
+
+function describeReversedLeg(l) {
+  if (l.type === "TRADE") return `${l.name} (${l.fromTeam} → ${l.toTeam})`;
+  if (l.type === "DROP") return `${l.name} dropped by ${l.fromTeam || l.team}`;
+  return `${l.name} added by ${l.toTeam || l.team}`;
+}
+
+function renderReversalPreview(res) {
+  const lines = [
+    `↩️ **Reverse ${res.transactionId}**${res.groupId ? ` (group ${res.groupId})` : ""}`,
+    ...(res.reversed || []).map((l) => `• ${l.type}: ${describeReversedLeg(l)} — \`${l.id}\``),
+    "",
+    "**Roster changes**",
+    ...((res.changes || []).length
+      ? res.changes.map((c) => `• ${c.name} (#${c.pdga}): ${c.fromTeam} → **${c.toTeam}**`)
+      : ["_none_"]),
+  ];
+
+  for (const r of res.rosters || []) {
+    const names = r.after.map((p) => p.name).join(", ") || "_empty_";
+    lines.push("", `**${r.team}** after (${r.before.length} → ${r.after.length}): ${names}`);
+  }
+
+  if ((res.warnings || []).length) lines.push("", ...res.warnings.map((w) => `⚠️ ${w}`));
+  lines.push("", "_Confirm appends REVERSAL rows and rebuilds Rosters. The original rows stay in Transactions._");
+
+  const text = lines.join("\n");
+  return text.length > 1900 ? `${text.slice(0, 1897)}…` : text;
+}
+
+// customId: preview:<confirm|cancel>:<token> (no buttons when validation failed)
+function withPreviewButtons(content, token) {
+  if (!token) return { content, components: [] };
+  return {
+    content,
+    components: [
+      new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+          .setCustomId(`preview:confirm:${token}`)
+          .setLabel("Confirm")
+          .setStyle(ButtonStyle.Success),
+        new ButtonBuilder()
+          .setCustomId(`preview:cancel:${token}`)
+          .setLabel("Cancel")
+          .setStyle(ButtonStyle.Secondary)
+      ),
+    ],
+  };
+}
+
+// Writes the rows and returns the public receipt
+// Goes through the outbox; onRetry(attempt, max) lets the caller show progress
+async function commitTransaction({ team, notes, submittedBy, lockOverride, drop, add }, onRetry) {
+  const noteLine = notes ? `\n📝 Notes: ${notes}` : "";
+  const who = `\n👤 Submitted by: <@${submittedBy}>` + (lockOverride ? " (roster lock override)" : "");
+
+  if (drop && add) {
+    await postSwap({
+      team,
+      dropPdga: drop.pdga,
+      dropName: drop.name,
+      addPdga: add.pdga,
+      addName: add.name,
+      notes,
+      submittedBy,
+      lockOverride,
+    }, {
+      label: `${team} SWAP (drop ${drop.name}, add ${add.name})`,
+      notifyUserId: submittedBy,
+      onRetry,
+    });
+    invalidateRosterCache(team);
+
+    return (
+      `✅ **${team} SWAP Logged**\n` +
+      `⬇️ **DROP**: ${drop.name} → **${FREE}**\n` +
+      `⬆️ **ADD**: ${add.name} ← **${FREE}**` +
+      noteLine +
+      who
+    );
+  }
+
+  const p = drop || add;
+  await postTransactionRow({
+    type: drop ? "DROP" : "ADD",
+    team,
+    pdga: p.pdga,
+    name: p.name,
+    fromTeam: drop ? team : FREE,
+    toTeam: drop ? FREE : team,
+    notes,
+    submittedBy,
+    lockOverride,
+  }, {
+    label: `${team} ${drop ? "DROP" : "ADD"} ${p.name}`,
+    notifyUserId: submittedBy,
+    onRetry,
+  });
+  invalidateRosterCache(team);
+
+  const receiptLine = drop
+    ? `⬇️ **DROP**: ${drop.name} → **${FREE}**`
+    : `⬆️ **ADD**: ${add.name} ← **${FREE}**`;
+
+  return `✅ **${team} Transaction Logged**\n` + receiptLine + noteLine + who;
+}
+
+async function handlePreviewButton(interaction) {
+  const [, action, token] = interaction.customId.split(":");
+  const entry = pendingPreviews.get(token);
+
+  if (!entry || Date.now() - entry.createdAt > PREVIEW_TTL_MS) {
+    pendingPreviews.delete(token);
+    return interaction.update({
+      content: "⌛ This preview expired. Run the command again.",
+      components: [],
+    });
+  }
+  if (entry.userId !== interaction.user.id) {
+    return interaction.reply({ content: "❌ This preview isn't yours.", ephemeral: true });
+  }
+
+  pendingPreviews.delete(token);
+
+  if (action === "cancel") {
+    return interaction.update({ content: "🗑️ Cancelled — nothing was saved.", components: [] });
+  }
+
+  await interaction.update({ content: "⏳ Submitting…", components: [] });
+
+  try {
+    if (entry.kind === "transaction") {
+      const receipt = await commitTransaction(entry.tx, (attempt, max) =>
+        interaction.editReply(`⏳ Apps Script is slow — retrying (${attempt}/${max})…`)
+      );
+      await interaction.followUp({ content: receipt, ephemeral: false });
+      return interaction.editReply("✅ Submitted.");
+    }
+
+    if (entry.kind === "trade") {
+      const { trade } = entry;
+      const { proposal } = await postTradePropose({
+        teamA: trade.teamA,
+        legs: trade.legs,
+        notes: trade.notes,
+        proposedBy: trade.proposedBy,
+        lockOverride: trade.lockOverride,
+      });
+
+      const msg = await interaction.followUp({
+        ...renderTradeProposal(proposal),
+        ephemeral: false,
+      });
+      await postTradeProposalSetMessage({
+        proposalId: proposal.proposalId,
+        channelId: msg.channelId,
+        messageId: msg.id,
+      });
+      return interaction.editReply(`✅ Trade proposal sent to **${trade.teamB}**.`);
+    }
+
+    if (entry.kind === "reversal") {
+      const { reversal } = entry;
+      const res = await postTransactionReverse({ ...reversal, mode: "commit", actor: interaction.user.id });
+      invalidateRosterCache(...(res.rosters || []).map((r) => r.team));
+
+      const moved = (res.changes || []).map((c) => `${c.name}: ${c.fromTeam} → ${c.toTeam}`).join("; ");
+      await postAdminReport(
+        `↩️ <@${interaction.user.id}> reversed ${res.transactionId} (${res.reversalGroupId})` +
+          (moved ? ` — ${moved}` : "") +
+          (reversal.notes ? `\n📝 ${reversal.notes}` : "")
+      );
+      return interaction.editReply(`✅ Reversed ${res.transactionId} (${res.reversalGroupId}). Rosters rebuilt.`);
+    }
+  } catch (err) {
+    return interaction.editReply(`❌ ${String(err?.message || err)}`);
+  }
+}
+
+// =====================================================
+// Paged results (/freeagents, /history): each search is cached under a token and
+// Prev/Next buttons (customId <prefix>:<token>:<page>) re-render pages from the cache
+// =====================================================
+const PAGED_RESULTS_TTL_MS = 15 * 60 * 1000;
+const pagedResults = new Map(); // token -> { result, filters, createdAt }
+
+function storePagedResults(entry) {
+  const now = Date.now();
+  for (const [k, v] of pagedResults) {
+    if (now - v.createdAt > PAGED_RESULTS_TTL_MS) pagedResults.delete(k);
+  }
+
+  const token = crypto.randomUUID().replace(/-/g, "").slice(0, 16);
+  pagedResults.set(token, { ...entry, createdAt: now });
+  return token;
+}
+
+function pageButtons(prefix, token, p, pages) {
+  if (pages <= 1) return [];
+  return [
+    new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`${prefix}:${token}:${p - 1}`)
+        .setLabel("◀ Prev")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(p === 0),
+      new ButtonBuilder()
+        .setCustomId(`${prefix}:${token}:${p + 1}`)
+        .setLabel("Next ▶")
+        .setStyle(ButtonStyle.Secondary)
+        .setDisabled(p >= pages - 1)
+    ),
+  ];
+}
+
+// render(token, entry, page) -> message payload; command is named in the expiry notice
+function handlePagedResultsButton(interaction, render, command) {
+  const [, token, pageRaw] = interaction.customId.split(":");
+  const entry = pagedResults.get(token);
+
+  if (!entry || Date.now() - entry.createdAt > PAGED_RESULTS_TTL_MS) {
+    pagedResults.delete(token);
+    return interaction.update({
+      content: `⌛ These results expired. Run ${command} again.`,
+      embeds: [],
+      components: [],
+    });
+  }
+
+  return interaction.update(render(token, entry, Number(pageRaw) || 0));
+}
+
+// =====================================================
+// /freeagents paging
+// =====================================================
+const FA_PAGE_SIZE = 10;
+
+// customId: fa:<token>:<page>
+function renderFreeAgentsPage(token, entry, page) {
+  const { result, filters } = entry;
+  const players = Array.isArray(result.players) ? result.players : [];
+  const pages = Math.max(1, Math.ceil(players.length / FA_PAGE_SIZE));
+  const p = Math.min(Math.max(0, page), pages - 1);
+
+  const next = result.nextEvent;
+  const lines = players.slice(p * FA_PAGE_SIZE, (p + 1) * FA_PAGE_SIZE).map((x, i) => {
+    const n = p * FA_PAGE_SIZE + i + 1;
+    const pts =
+      filters.sort === "event"
+        ? `${filters.eventCode} ${formatPoints(x.eventPts)}`
+        : `${formatPoints(x.seasonT)} pts`;
+    const reg = next ? ` · ${next.eventCode} ${x.nextStatus}` : "";
+    const held = x.onWaivers ? ` · ⏳ ${ON_WAIVERS}` : "";
+    return `${n}. **${x.name}** (#${x.pdga}) — ${x.division} · ${x.rank ? `#${x.rank}` : "unranked"} · ${pts}${reg}${held}`;
+  });
+
+  const filterText = [
+    filters.division || "MPO+FPO",
+    filters.registeredNext && next ? `registered for ${next.eventCode}` : "",
+    filters.maxRank ? `rank ≤ ${filters.maxRank}` : "",
+    `sorted by ${filters.sort === "event" ? `${filters.eventCode}_T` : filters.sort === "rank" ? "rank" : "Season_T"}`,
+  ]
+    .filter((x) => x)
+    .join(" · ");
+
+  const shown = players.length < (result.total || 0) ? ` (top ${players.length} of ${result.total})` : "";
+
+  const embed = new EmbedBuilder()
+    .setTitle("🆓 Free Agents")
+    .setDescription(lines.length ? lines.join("\n") : "_No free agents match those filters._")
+    .setFooter({ text: `${filterText} · page ${p + 1}/${pages}${shown}` });
+
+  return { content: "", embeds: [embed], components: pageButtons("fa", token, p, pages) };
+}
+
+// =====================================================
+// /history paging
+// =====================================================
+const HISTORY_PAGE_SIZE = 8;
+
+const MOVE_ICONS = { ADD: "➕", DROP: "➖", SWAP: "🔁", TRADE: "🤝", REVERSAL: "↩️" };
+
+function renderHistoryMove(m) {
+  const when = m.date ? `<t:${Math.floor(Date.parse(m.date) / 1000)}:d>` : "?";
+  const legs = m.legs || [];
+  const player = (l) => `**${l.name || l.pdga}** (#${l.pdga})`;
+
+  let what;
+  if (m.kind === "TRADE") {
+    what = legs.map((l) => `${player(l)} ${l.fromTeam} → ${l.toTeam}`).join("; ");
+  } else if (m.kind === "REVERSAL") {
+    what = `undid ${legs.map((l) => `${player(l)} (\`${l.reversesId}\`)`).join(", ")}`;
+  } else if (m.kind === "SWAP") {
+    const drop = legs.find((l) => l.type === "DROP");
+    const add = legs.find((l) => l.type === "ADD");
+    what = `${m.team}: dropped ${drop ? player(drop) : "?"}, added ${add ? player(add) : "?"}`;
+  } else {
+    what = legs
+      .map((l) => `${m.team || l.team}: ${l.type.toLowerCase()} ${player(l)}${l.fromTeam || l.toTeam ? ` (${l.fromTeam || "FA"} → ${l.toTeam || "FA"})` : ""}`)
+      .join("; ");
+  }
+
+  const by = /^\d{15,}$/.test(m.submittedBy || "") ? ` · by <@${m.submittedBy}>` : m.submittedBy ? ` · by ${m.submittedBy}` : "";
+  const notes = m.notes ? `\n  _${m.notes}_` : "";
+  const id = m.transactionId ? ` \`${m.transactionId}\`` : "";
+  const head = `${MOVE_ICONS[m.kind] || "•"} ${when} **${m.kind}** — ${what}`;
+  return `${m.reversed ? `~~${head}~~ (reversed)` : head}${by}${id}${notes}`;
+}
+
+// customId: hist:<token>:<page>
+function renderHistoryPage(token, entry, page) {
+  const { result, filters } = entry;
+  const moves = Array.isArray(result.moves) ? result.moves : [];
+  const pages = Math.max(1, Math.ceil(moves.length / HISTORY_PAGE_SIZE));
+  const p = Math.min(Math.max(0, page), pages - 1);
+
+  const lines = moves
+    .slice(p * HISTORY_PAGE_SIZE, (p + 1) * HISTORY_PAGE_SIZE)
+    .map((m) => renderHistoryMove(m).slice(0, 500));
+
+  const filterText = [
+    filters.team || "all teams",
+    filters.playerLabel || "",
+    filters.fromDate ? `from ${filters.fromDate}` : "",
+    filters.toDate ? `to ${filters.toDate}` : "",
+  ]
+    .filter((x) => x)
+    .join(" · ");
+
+  const shown = moves.length < (result.total || 0) ? ` (latest ${moves.length} of ${result.total})` : "";
+
+  const embed = new EmbedBuilder()
+    .setTitle("📜 Transaction History")
+    .setDescription(lines.length ? lines.join("\n") : "_No transactions match those filters._")
+    .setFooter({ text: `${filterText} · page ${p + 1}/${pages}${shown}` });
+
+  return { content: "", embeds: [embed], components: pageButtons("hist", token, p, pages) };
+}
+
+// =====================================================
+// /admin (League Tools menu operations)
+// =====================================================
+const ADMIN_ACTIONS = {
+  rebuild_rosters: "ADMIN_REBUILD_ROSTERS",
+  update_events: "ADMIN_UPDATE_EVENTS",
+  run_scoring: "ADMIN_RUN_SCORING",
+  lock_lineups: "ADMIN_LOCK_LINEUPS",
+  finalize_lineups: "ADMIN_FINALIZE_LINEUPS",
+  reset_team_lock: "ADMIN_RESET_TEAM_LOCK",
+};
+
+// Scheduled events (from SCHEDULE_GET) for the event_code option
+function scheduledEventCodes() {
+  const seen = new Map();
+  for (const x of [...schedule.reminders, ...schedule.waivers]) {
+    if (x.eventCode && !seen.has(x.eventCode)) seen.set(x.eventCode, x.event);
+  }
+  return [...seen.entries()].map(([code, event]) => ({ code, event }));
+}
+
+// Structured ADMIN_* result -> summary lines
+function renderAdminResult(sub, res) {
+  switch (sub) {
+    case "rebuild_rosters": {
+      const counts = Object.entries(res.countByTeam || {}).sort(([a], [b]) => a.localeCompare(b));
+      return [
+        `✅ **Rosters rebuilt** — ${res.playerCount} players tracked`,
+        ...counts.map(([team, n]) => `• ${team}: ${n} rostered`),
+      ];
+    }
+    case "update_events": {
+      const rows = res.results || [];
+      const failed = rows.filter((r) => !/^OK/.test(r.result));
+      return [
+        `${failed.length ? "⚠️" : "✅"} **Registrations refreshed** — ${rows.length - failed.length}/${rows.length} OK`,
+        ...rows.map((r) => `• ${r.item}: ${r.result}`),
+      ];
+    }
+    case "run_scoring": {
+      const entries = res.entries || [];
+      if (!entries.length) return ["ℹ️ **Scoring ran** — nothing was logged (no active event today?)"];
+      const total = entries.length + (res.omitted || 0);
+      return [
+        `✅ **Scoring ran** — ${total} log entr${total === 1 ? "y" : "ies"}`,
+        ...(res.omitted ? [`_(oldest ${res.omitted} omitted; see ScoringLog)_`] : []),
+        ...entries.map(
+          (e) =>
+            `• \`${e.status}\` ${e.eventCode} ${e.division}${e.round ? ` R${e.round}` : ""}: ` +
+            `${e.message} (written ${e.written}, skipped ${e.skipped})`
+        ),
+      ];
+    }
+    case "lock_lineups": {
+      const locked = res.locked || [];
+      const skipped = res.skipped || [];
+      return [
+        `🔒 **Lineups locked for ${res.eventCode}** — ${locked.length} locked, ${skipped.length} skipped`,
+        ...(locked.length ? [`Locked: ${locked.join(", ")}`] : []),
+        ...skipped.map((x) => `⏭️ ${x.team}: ${x.reason}`),
+      ];
+    }
+    case "finalize_lineups": {
+      const totals = (res.totals || []).slice().sort((a, b) => b.total - a.total);
+      return [
+        `🏁 **Finalized ${res.eventCode}** (${res.eventHeader}) — ${res.finalizedCount} lineup(s)`,
+        ...totals.map((t, i) => `${i + 1}. ${t.team} — ${formatPoints(t.total)} pts`),
+      ];
+    }
+    case "reset_team_lock":
+      return [
+        res.wasLocked
+          ? `🔓 Team column lock cleared for **${res.eventCode}** — it will re-apply on the next scoring run.`
+          : `ℹ️ **${res.eventCode}** had no team column lock set.`,
+      ];
+    default:
+      return [`✅ ${sub} done.`];
+  }
+}
+
+// Polls ADMIN_JOB_STATUS until the queued job finishes; null once the interaction
+// token is close to expiring (15 min)
+const ADMIN_JOB_POLL_MS = [5000, 10000, 15000, 30000];
+const ADMIN_JOB_WAIT_MS = 13 * 60 * 1000;
+
+async function waitForAdminJob(jobId, actor) {
+  const deadline = Date.now() + ADMIN_JOB_WAIT_MS;
+  for (let i = 0; Date.now() < deadline; i++) {
+    await sleep(ADMIN_JOB_POLL_MS[Math.min(i, ADMIN_JOB_POLL_MS.length - 1)]);
+    try {
+      const { job } = await postAdminJobStatus({ jobId, actor });
+      if (job && (job.status === "DONE" || job.status === "FAILED")) return job;
+    } catch (e) {
+      if (!e?.transient) throw e;
+    }
+  }
+  return null;
+}
+
+// Long summaries go out as follow-ups so nothing is cut off at 2000 chars
+async function replyInChunks(interaction, lines) {
+  const chunks = chunkLines(lines, 2000);
+  await interaction.editReply(chunks[0] || "✅ Done.");
+  for (const c of chunks.slice(1)) {
+    await interaction.followUp({ content: c, ephemeral: true });
+  }
+}
+
+// =====================================================
+// Per-option autocomplete filters
+// =====================================================
+// Returns a PlayerPool predicate for the focused option, or null (no narrowing).
+// Other filled options (team, team_a, team_b) pick whose roster to search.
+async function playerOptionFilter(interaction, optionName) {
+  const cmd = interaction.commandName;
+  const callerTeam = () => teamByManager.get(interaction.user.id) || null;
+
+  const wantsFreeAgents = cmd === "transaction" && optionName === "add_player";
+  const wantsWaiverPicks = cmd === "waivers" && /^pick\d+$/.test(optionName);
+
+  let rosterOf = null;
+  if (cmd === "transaction" && optionName === "drop_player") {
+    rosterOf = resolveTeamName(interaction.options.getString("team", false)) || callerTeam();
+  }
+
+  const isTradeA = cmd === "trade" && /^player_a\d*$/.test(optionName);
+  const isTradeB = cmd === "trade" && /^player_b\d*$/.test(optionName);
+  const teamA = isTradeA || isTradeB
+    ? resolveTeamName(interaction.options.getString("team_a", false)) || callerTeam()
+    : null;
+  if (isTradeA) rosterOf = teamA;
+  if (isTradeB) rosterOf = resolveTeamName(interaction.options.getString("team_b", false));
+
+  if (!wantsFreeAgents && !wantsWaiverPicks && !rosterOf && !isTradeB) return null;
+
+  const owners = await getOwnership();
+  if (!owners) return null; // ownership unknown: fall back to the full pool
+
+  if (wantsFreeAgents) {
+    // Unclaimed waiver awards stay addable only by the team that won them
+    const addingTeam = resolveTeamName(interaction.options.getString("team", false)) || callerTeam();
+    return (p) => {
+      const heldFor = awardHolds.get(String(p.pdga));
+      return ownerOf(owners, p.pdga) === FREE && (!heldFor || heldFor === addingTeam);
+    };
+  }
+  if (wantsWaiverPicks) return (p) => [FREE, ON_WAIVERS].includes(ownerOf(owners, p.pdga));
+  if (rosterOf) return (p) => ownerOf(owners, p.pdga) === rosterOf;
+
+  // team_b not chosen yet: anyone rostered by another team
+  return (p) => {
+    const owner = ownerOf(owners, p.pdga);
+    return owner !== FREE && owner !== ON_WAIVERS && owner !== teamA;
+  };
+}
+
+// =====================================================
+// Interaction handler
+// =====================================================
+client.on(Events.InteractionCreate, async (interaction) => {
+  try {
+    // ---- Autocomplete ----
+    if (interaction.isAutocomplete()) {
+      try {
+        const focused = interaction.options.getFocused(true);
+        const query = String(focused?.value ?? "");
+
+        // Team options: Teams tab (by name or tab code)
+        if (TEAM_OPTION_NAMES.has(focused?.name)) {
+          const q = query.toLowerCase().trim();
+          const matches = getTeams()
+            .filter(
+              (t) =>
+                !q ||
+                t.name.toLowerCase().includes(q) ||
+                String(t.tabCode || "").toLowerCase().startsWith(q)
+            )
+            .slice(0, 25)
+            .map((t) => ({ name: t.name.slice(0, 100), value: t.name.slice(0, 100) }));
+
+          return interaction.respond(matches);
+        }
+
+        // /admin event_code: events from the schedule cache
+        if (interaction.commandName === "admin" && focused?.name === "event_code") {
+          const q = query.toLowerCase().trim();
+          const matches = scheduledEventCodes()
+            .filter((e) => !q || e.code.toLowerCase().startsWith(q) || e.event.toLowerCase().includes(q))
+            .slice(0, 25)
+            .map((e) => ({ name: `${e.code} — ${e.event}`.slice(0, 100), value: e.code }));
+
+          return interaction.respond(matches);
+        }
+
+        // /lineup slots: only players on the selected team's roster
+        if (
+          interaction.commandName === "lineup" &&
+          /^slot\d$/.test(focused?.name || "")
+        ) {
+          const team =
+            resolveTeamName(interaction.options.getString("team", false)) ||
+            teamByManager.get(interaction.user.id);
+          if (!team) return interaction.respond([]);
+
+          const roster = await withTimeout(
+            getTeamRoster(team).catch(() => []),
+            2000,
+            []
+          );
+          const tokens = normalizeSearchText(query).split(" ").filter(Boolean);
+          const matches = roster
+            .filter((p) => playerMatchesQuery(p, tokens))
+            .slice(0, 25)
+            .map((p) => ({
+              name: `${p.name} (${p.pdga})`.slice(0, 100),
+              value: p.name.slice(0, 100),
+            }));
+
+          return interaction.respond(matches);
+        }
+
+        if (!playerPoolLoaded) return interaction.respond([]);
+
+        const filter = await playerOptionFilter(interaction, focused?.name || "");
+        const source = searchPlayers(query, 25, filter);
+        const waiverTag = waiversUntil ? ` · ${ON_WAIVERS} until ${waiversUntil}` : ` · ${ON_WAIVERS}`;
+        const matches = source.map((p) => ({
+          name: `${p.name} (${p.pdga})${ownerByPdga.get(String(p.pdga)) === ON_WAIVERS ? waiverTag : ""}`.slice(0, 100),
+          value: p.name.slice(0, 100),
+        }));
+
+        return interaction.respond(matches);
+      } catch (e) {
+        console.error("Autocomplete error:", e);
+        try {
+          return interaction.respond([]);
+        } catch (_) {
+          return;
+        }
+      }
+    }
+
+    // ---- Buttons ----
+    if (interaction.isButton()) {
+      if (interaction.customId.startsWith("trade:")) {
+        return handleTradeProposalButton(interaction);
+      }
+      if (interaction.customId.startsWith("preview:")) {
+        return handlePreviewButton(interaction);
+      }
+      if (interaction.customId.startsWith("fa:")) {
+        return handlePagedResultsButton(interaction, renderFreeAgentsPage, "/freeagents");
+      }
+      if (interaction.customId.startsWith("hist:")) {
+        return handlePagedResultsButton(interaction, renderHistoryPage, "/history");
+      }
+      return;
+    }
+
+    if (!interaction.isChatInputCommand()) return;
+
+    // =========================
+    // /admin (commissioner)
+    // =========================
+    if (interaction.commandName === "admin") {
+      const sub = interaction.options.getSubcommand();
+      if (!(await requireCommissioner(interaction, `/admin ${sub}`))) return;
+
+      const eventCode = String(interaction.options.getString("event_code", false) || "")
+        .trim()
+        .toUpperCase();
+      await interaction.deferReply({ ephemeral: true });
+
+      try {
+        const res = await postAdminAction({
+          action: ADMIN_ACTIONS[sub],
+          eventCode,
+          actor: String(interaction.user.id),
+        });
+        if (sub === "rebuild_rosters") invalidateRosterCache(...rosterCache.keys());
+        if (!res.queued) return replyInChunks(interaction, renderAdminResult(sub, res));
+
+        // update_events / run_scoring run from an Apps Script trigger; poll for the result
+        const what = sub === "run_scoring" ? "Scoring" : "Registration refresh";
+        await interaction.editReply(
+          `⏳ **${what} ${res.alreadyQueued ? "was already queued" : "queued"}** (${res.jobId}) — ` +
+            "the summary follows here when it finishes."
+        );
+        const job = await waitForAdminJob(res.jobId, String(interaction.user.id));
+        if (!job) {
+          return interaction.editReply(
+            `⌛ ${what} (${res.jobId}) is still running. Check WebhookLog for \`ADMIN_JOB_DONE\`.`
+          );
+        }
+        if (job.status === "FAILED") {
+          return interaction.editReply(`❌ /admin ${sub} failed: ${job.result?.error || "unknown error"}`);
+        }
+        return replyInChunks(interaction, renderAdminResult(sub, job.result || {}));
+      } catch (err) {
+        return interaction.editReply(`❌ /admin ${sub} failed: ${String(err?.message || err)}`);
+      }
+    }
+
+    // =========================
+    // /status (commissioner)
+    // =========================
+    if (interaction.commandName === "status") {
+      if (!(await requireCommissioner(interaction, "/status"))) return;
+      return interaction.reply({ embeds: [renderStatusEmbed()], ephemeral: true });
+    }
+
+    // =========================
+    // /managers (commissioner)
+    // =========================
+    if (interaction.commandName === "managers") {
+      const sub = interaction.options.getSubcommand();
+      if (!(await requireCommissioner(interaction, `/managers ${sub}`))) return;
+
+      await interaction.deferReply({ ephemeral: true });
+
+      if (sub === "list") {
+        await refreshManagers();
+        const byTeam = new Map();
+        for (const [userId, team] of teamByManager.entries()) {
+          if (!byTeam.has(team)) byTeam.set(team, []);
+          byTeam.get(team).push(`<@${userId}>`);
+        }
+        const lines = getTeams().map(
+          (t) => `**${t.name}**: ${(byTeam.get(t.name) || []).join(", ") || "_unassigned_"}`
+        );
+        return interaction.editReply(`👥 **Team Managers**\n${lines.join("\n")}`);
+      }
+
+      const user = interaction.options.getUser("user", true);
+
+      if (sub === "set") {
+        const rawTeam = interaction.options.getString("team", true);
+        const team = resolveTeamName(rawTeam);
+        if (!team) return interaction.editReply(`❌ Invalid team: ${rawTeam}`);
+
+        const res = await postManagersSet({
+          discordUserId: user.id,
+          team,
+          displayName: user.username,
+          updatedBy: String(interaction.user.id),
+        });
+        await refreshManagers();
+
+        const moved =
+          res.previousTeam && res.previousTeam !== res.team
+            ? ` (was **${res.previousTeam}**)`
+            : "";
+        return interaction.editReply(`✅ <@${user.id}> now manages **${res.team}**${moved}.`);
+      }
+
+      if (sub === "remove") {
+        const res = await postManagersRemove({
+          discordUserId: user.id,
+          updatedBy: String(interaction.user.id),
+        });
+        await refreshManagers();
+
+        return interaction.editReply(
+          res.removed
+            ? `✅ <@${user.id}> no longer manages **${res.team}**.`
+            : `ℹ️ <@${user.id}> wasn't linked to a team.`
+        );
+      }
+    }
+
+    // =========================
+    // /commissioners (commissioner)
+    // =========================
+    if (interaction.commandName === "commissioners") {
+      const sub = interaction.options.getSubcommand();
+      if (!(await requireCommissioner(interaction, `/commissioners ${sub}`))) return;
+
+      await interaction.deferReply({ ephemeral: true });
+
+      if (sub === "list") {
+        await refreshCommissioners();
+        const lines = Array.from(commissionerIds).map((id) => `• <@${id}>`);
+        return interaction.editReply(`🛡️ **Commissioners**\n${lines.join("\n") || "_none_"}`);
+      }
+
+      const user = interaction.options.getUser("user", true);
+
+      if (sub === "add") {
+        const res = await postCommissionersSet({
+          discordUserId: user.id,
+          displayName: user.username,
+          updatedBy: String(interaction.user.id),
+        });
+        await refreshCommissioners();
+        return interaction.editReply(
+          res.created
+            ? `✅ <@${user.id}> is now a commissioner.`
+            : `ℹ️ <@${user.id}> was already a commissioner.`
+        );
+      }
+
+      if (sub === "remove") {
+        const res = await postCommissionersRemove({
+          discordUserId: user.id,
+          updatedBy: String(interaction.user.id),
+        });
+        await refreshCommissioners();
+        return interaction.editReply(
+          res.removed
+            ? `✅ <@${user.id}> is no longer a commissioner.`
+            : `ℹ️ <@${user.id}> wasn't a commissioner.`
+        );
+      }
+    }
+
+    // =========================
+    // /roster
+    // =========================
+    if (interaction.commandName === "roster") {
+      const rawTeam = interaction.options.getString("team", true);
+      const team = resolveTeamName(rawTeam);
+
+      if (!team) {
+        return interaction.reply({
+          content: `❌ Invalid team: ${rawTeam}`,
+          ephemeral: true,
+        });
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+
+      let result;
+      try {
+        result = await postRosterGet({ team });
+      } catch (err) {
+        return interaction.editReply(`❌ ${String(err?.message || err)}`);
+      }
+
+      const roster = Array.isArray(result.players) ? result.players : [];
+      const lines = roster.map(
+        (p) =>
+          `**${p.name}** (#${p.pdga})\n` +
+          `${p.division || "—"} · ${p.source || "—"} · ${formatPoints(p.seasonT)} pts`
+      );
+
+      const embed = new EmbedBuilder()
+        .setTitle(`📋 ${result.team || team}`)
+        .setDescription(lines.length ? lines.join("\n") : "_No rostered players._")
+        .setFooter({
+          text: `${roster.length}/${result.maxRoster || "?"} players · Season_T from PlayerPool`,
+        });
+
+      return interaction.editReply({ embeds: [embed] });
     }
-  }, 6 * 60 * 60 * 1000);
-});
 
-// =====================================================
-// Interaction handler
-// =====================================================
-client.on(Events.InteractionCreate, async (interaction) => {
-  try {
-    // ---- Autocomplete ----
-    if (interaction.isAutocomplete()) {
+    // =========================
+    // /player
+    // =========================
+    if (interaction.commandName === "player") {
+      if (!playerPoolLoaded) {
+        return interaction.reply({
+          content: "❌ PlayerPool is still loading. Try again in ~10 seconds.",
+          ephemeral: true,
+        });
+      }
+
+      const name = interaction.options.getString("name", true);
+      const pdga = nameToPdga.get(name);
+      if (!pdga) {
+        return interaction.reply({
+          content: `❌ Not found in PlayerPool: ${name}`,
+          ephemeral: true,
+        });
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+
+      let p;
       try {
-        if (!playerPoolLoaded) return interaction.respond([]);
+        p = await postPlayerGet({ pdga });
+      } catch (err) {
+        return interaction.editReply(`❌ ${String(err?.message || err)}`);
+      }
 
-        const focused = interaction.options.getFocused(true);
-        const query = String(focused?.value ?? "");
+      const shortDate = (iso) => {
+        const dt = DateTime.fromISO(String(iso || "")).setZone("America/New_York");
+        return dt.isValid ? dt.toFormat("LLL d") : "—";
+      };
 
-        const source = searchPlayers(query, 25);
-        const matches = source.map((p) => ({
-          name: `${p.name} (${p.pdga})`.slice(0, 100),
-          value: p.name.slice(0, 100),
-        }));
+      const eventPoints = Array.isArray(p.eventPoints) ? p.eventPoints : [];
+      const registration = Array.isArray(p.registration) ? p.registration : [];
+      const transactions = Array.isArray(p.transactions) ? p.transactions : [];
 
-        return interaction.respond(matches);
-      } catch (e) {
-        console.error("Autocomplete error:", e);
-        try {
-          return interaction.respond([]);
-        } catch (_) {
-          return;
+      const pointsLine = eventPoints
+        .map((e) => `${e.eventCode} ${formatPoints(e.points)}`)
+        .join(" · ");
+      const regLines = registration.map(
+        (r) => `${r.status} ${r.eventHeader} (${shortDate(r.startDate)})`
+      );
+      const txLines = transactions.map((t) => {
+        const move =
+          t.type === "TRADE" || t.type === "REVERSAL"
+            ? `${t.fromTeam || FREE} → ${t.toTeam || FREE}`
+            : t.type === "DROP"
+              ? `${t.fromTeam || t.team} → ${FREE}`
+              : `${FREE} → ${t.toTeam || t.team}`;
+        const line = `${shortDate(t.date)} · **${t.type}** ${move}`;
+        return t.reversed ? `~~${line}~~ (reversed)` : line;
+      });
+
+      const embed = new EmbedBuilder()
+        .setTitle(`🥏 ${p.name} (#${p.pdga})`)
+        .setDescription(
+          `${p.division || "—"} · ${p.rank ? `StatMando rank #${p.rank}` : "Unranked"}`
+        )
+        .addFields(
+          {
+            name: "Owner",
+            value: p.owner === FREE ? FREE : `**${p.owner}**${p.source ? ` (${p.source})` : ""}`,
+            inline: true,
+          },
+          { name: "Season_T", value: `${formatPoints(p.seasonT)} pts`, inline: true },
+          { name: "Event points", value: (pointsLine || "—").slice(0, 1024) },
+          { name: "Upcoming registration", value: (regLines.join("\n") || "—").slice(0, 1024) },
+          { name: "Recent transactions", value: (txLines.join("\n") || "—").slice(0, 1024) }
+        );
+
+      return interaction.editReply({ embeds: [embed] });
+    }
+
+    // =========================
+    // /freeagents
+    // =========================
+    if (interaction.commandName === "freeagents") {
+      const filters = {
+        division: interaction.options.getString("division", false) || "",
+        registeredNext: interaction.options.getBoolean("registered", false) ?? false,
+        maxRank: interaction.options.getInteger("max_rank", false) || null,
+        sort: interaction.options.getString("sort", false) || "season",
+        eventCode: (interaction.options.getString("event", false) || "").trim().toUpperCase(),
+      };
+
+      if (filters.sort === "event" && !filters.eventCode) {
+        return interaction.reply({
+          content: "❌ sort:event needs an event code (ex: event:SFO).",
+          ephemeral: true,
+        });
+      }
+
+      await interaction.deferReply({ ephemeral: true });
+
+      let result;
+      try {
+        result = await postFreeAgentsQuery(filters);
+      } catch (err) {
+        return interaction.editReply(`❌ ${String(err?.message || err)}`);
+      }
+
+      const entry = { result, filters };
+      const token = storePagedResults(entry);
+
+      return interaction.editReply(renderFreeAgentsPage(token, entry, 0));
+    }
+
+    // =========================
+    // /transaction_reverse (commissioner)
+    // =========================
+    if (interaction.commandName === "transaction_reverse") {
+      if (!(await requireCommissioner(interaction, "/transaction_reverse"))) return;
+
+      const reversal = {
+        transactionId: interaction.options.getString("transaction_id", true).trim().toUpperCase(),
+        notes: (interaction.options.getString("notes", false) || "").trim(),
+      };
+
+      await interaction.deferReply({ ephemeral: true });
+
+      let res;
+      try {
+        res = await postTransactionReverse({ ...reversal, mode: "preview", actor: interaction.user.id });
+      } catch (err) {
+        return interaction.editReply(`❌ ${String(err?.message || err)}`);
+      }
+
+      const token = storePreview({ kind: "reversal", userId: interaction.user.id, reversal });
+      return interaction.editReply(withPreviewButtons(renderReversalPreview(res), token));
+    }
+
+    // =========================
+    // /history
+    // =========================
+    if (interaction.commandName === "history") {
+      const teamRaw = interaction.options.getString("team", false) || "";
+      const playerRaw = (interaction.options.getString("player", false) || "").trim();
+      const fromDate = (interaction.options.getString("from", false) || "").trim();
+      const toDate = (interaction.options.getString("to", false) || "").trim();
+
+      const team = teamRaw ? resolveTeamName(teamRaw) : "";
+      if (teamRaw && !team) {
+        return interaction.reply({ content: `❌ Unknown team: ${teamRaw}`, ephemeral: true });
+      }
+      for (const d of [fromDate, toDate]) {
+        if (d && !/^\d{4}-\d{2}-\d{2}$/.test(d)) {
+          return interaction.reply({ content: `❌ Dates must be YYYY-MM-DD (got ${d}).`, ephemeral: true });
         }
       }
+
+      // Pool pick -> exact PDGA #; anything else is a name substring
+      const pdga = playerRaw ? nameToPdga.get(playerRaw) || (/^\d+$/.test(playerRaw) ? playerRaw : "") : "";
+      const filters = {
+        team,
+        pdga,
+        player: pdga ? "" : playerRaw,
+        playerLabel: playerRaw,
+        fromDate,
+        toDate,
+      };
+
+      await interaction.deferReply({ ephemeral: true });
+
+      let result;
+      try {
+        result = await postTransactionsQuery(filters);
+      } catch (err) {
+        return interaction.editReply(`❌ ${String(err?.message || err)}`);
+      }
+
+      const entry = { result, filters };
+      const token = storePagedResults(entry);
+
+      return interaction.editReply(renderHistoryPage(token, entry, 0));
     }
 
-    if (!interaction.isChatInputCommand()) return;
+    // =========================
+    // /standings
+    // =========================
+    if (interaction.commandName === "standings") {
+      const eventCode = (interaction.options.getString("event", false) || "")
+        .trim()
+        .toUpperCase();
+
+      await interaction.deferReply({ ephemeral: false });
+
+      let result;
+      try {
+        result = await postStandingsGet({ eventCode });
+      } catch (err) {
+        return interaction.editReply(`❌ ${String(err?.message || err)}`);
+      }
+
+      const teams = Array.isArray(result.teams) ? result.teams : [];
+
+      if (result.mode === "event") {
+        const lines = teams.map(
+          (t) => `${t.rank}. **${t.team}** — ${formatPoints(t.total)} pts`
+        );
+
+        const embed = new EmbedBuilder()
+          .setTitle(`🏆 ${result.eventHeader || eventCode} (${eventCode})`)
+          .setDescription(
+            lines.length
+              ? lines.join("\n")
+              : "_No finalized lineups for this event yet._"
+          )
+          .setFooter({ text: "Team totals from LineupHistory" });
+
+        return interaction.editReply({ embeds: [embed] });
+      }
+
+      const events = Array.isArray(result.events) ? result.events : [];
+
+      const embed = new EmbedBuilder()
+        .setTitle("🏆 FDG Standings")
+        .setFooter({ text: "Season Total from the Standings tab" });
+
+      if (!teams.length) {
+        embed.setDescription("_No standings rows yet._");
+      } else {
+        embed.addFields(
+          teams.slice(0, 25).map((t) => {
+            const perEvent = events
+              .filter((ev) => t.eventTotals?.[ev.code] != null)
+              .map((ev) => `${ev.code} ${formatPoints(t.eventTotals[ev.code])}`)
+              .join(" · ");
+
+            return {
+              name: `${t.rank}. ${t.team} — ${formatPoints(t.seasonTotal)} pts`,
+              value: (perEvent || "—").slice(0, 1024),
+            };
+          })
+        );
+      }
+
+      return interaction.editReply({ embeds: [embed] });
+    }
 
     // =========================
-    // /alerts
+    // /lineup
     // =========================
-    if (interaction.commandName === "alerts") {
-      const team = interaction.options.getString("team", true);
+    if (interaction.commandName === "lineup") {
+      const team = await resolveCallerTeam(interaction);
 
-      if (!TEAM_NAMES.has(team)) {
-        return interaction.reply({
-          content: `❌ Invalid team: ${team}`,
-          ephemeral: true,
+      await interaction.deferReply({ ephemeral: true });
+
+      let roster;
+      try {
+        roster = await getTeamRoster(team, { maxAgeMs: 0 });
+      } catch (err) {
+        return interaction.editReply(`❌ ${String(err?.message || err)}`);
+      }
+
+      const picks = [];
+      for (let slot = 1; slot <= 6; slot++) {
+        const opt = interaction.options.getString(`slot${slot}`, true);
+        const p = roster.find((x) => x.name === opt || x.pdga === opt);
+        if (!p) {
+          return interaction.editReply(
+            `❌ Slot ${slot}: **${opt}** is not on ${team}'s roster.`
+          );
+        }
+        picks.push({ slot, pdga: p.pdga, name: p.name });
+      }
+
+      const seen = new Set();
+      for (const p of picks) {
+        if (seen.has(p.pdga)) {
+          return interaction.editReply(
+            `❌ Duplicate player selected: ${p.name} (${p.pdga})`
+          );
+        }
+        seen.add(p.pdga);
+      }
+
+      let result;
+      try {
+        result = await postLineupSubmit({
+          team,
+          submittedBy: String(interaction.user.id),
+          picks,
+        }, {
+          label: `Lineup for ${team}`,
+          notifyUserId: String(interaction.user.id),
+          onRetry: (attempt, max) =>
+            interaction.editReply(`⏳ Apps Script is slow — retrying (${attempt}/${max})…`),
         });
+      } catch (err) {
+        return interaction.editReply(`❌ ${String(err?.message || err)}`);
       }
 
+      const returned = Array.isArray(result?.slots) ? result.slots : picks;
+      const lines = returned
+        .map((p) => `${p.slot}) ${p.name} (${p.pdga})`)
+        .join("\n");
+
+      return interaction.editReply(
+        `✅ **Lineup submitted**\n` +
+          `🏟️ Event: **${result.eventHeader || result.eventCode}** (${result.eventCode})\n` +
+          `🏷️ Team: **${team}**\n\n` +
+          `${lines}\n\n` +
+          `_Resubmitting /lineup replaces this lineup until it is locked._`
+      );
+    }
+
+    // =========================
+    // /alerts
+    // =========================
+    if (interaction.commandName === "alerts") {
+      const team = await resolveCallerTeam(interaction);
+
       const phoneRaw = interaction.options.getString("phone", true);
       const phone = normalizePhoneToE164(phoneRaw);
 
@@ -585,6 +3121,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
       try {
         const res = await postAlertsSet({
           team,
+          submittedBy: String(interaction.user.id),
           phoneE164: phone,
           freeAgents,
           waiverAwards,
@@ -615,6 +3152,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
     // /waiver_run_now
     // ==============================
     if (interaction.commandName === "waiver_run_now") {
+      if (!(await requireCommissioner(interaction, "/waiver_run_now"))) return;
       await interaction.deferReply({ ephemeral: true });
 
       try {
@@ -635,7 +3173,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
           );
         }
 
-        await runWaiverAwardsForEvent(next.event, next.date);
+        await runWaiverJob(next, String(interaction.user.id));
 
         return interaction.editReply(
           `✅ Waiver awards triggered.\n📅 Cycle: **${next.date}** (${next.event})`
@@ -650,21 +3188,16 @@ client.on(Events.InteractionCreate, async (interaction) => {
     // /waivers
     // =========================
     if (interaction.commandName === "waivers") {
-      if (!playerPoolLoaded) {
+      const sub = interaction.options.getSubcommand();
+
+      if (sub === "submit" && !playerPoolLoaded) {
         return interaction.reply({
           content: "❌ PlayerPool is still loading. Try again in ~10 seconds.",
           ephemeral: true,
         });
       }
 
-      const team = interaction.options.getString("team", true);
-
-      if (!TEAM_NAMES.has(team)) {
-        return interaction.reply({
-          content: `❌ Invalid team: ${team}`,
-          ephemeral: true,
-        });
-      }
+      const team = await resolveCallerTeam(interaction);
 
       const next = nextWaiverCycleET();
       if (!next) {
@@ -677,6 +3210,74 @@ client.on(Events.InteractionCreate, async (interaction) => {
       await interaction.deferReply({ ephemeral: true });
 
       const cycleId = next.date;
+      const submittedBy = String(interaction.user.id);
+
+      // ---- /waivers view ----
+      if (sub === "view") {
+        let result;
+        try {
+          result = await postWaiverGet({ cycleId, team, submittedBy });
+        } catch (err) {
+          return interaction.editReply(`❌ ${String(err?.message || err)}`);
+        }
+
+        const picks = Array.isArray(result.picks) ? result.picks : [];
+        if (!picks.length) {
+          return interaction.editReply(
+            `📭 **${team}** has no pending waiver request for **${cycleId}** (${next.event}).\n` +
+              `_Use /waivers submit to create one._`
+          );
+        }
+
+        const lines = picks
+          .map((p) => {
+            const bid = p.bid != null ? ` · $${p.bid}` : "";
+            return p.eligible
+              ? `${p.rank}) ${p.name} (${p.pdga})${bid}`
+              : `${p.rank}) ~~${p.name} (${p.pdga})${bid}~~ — ⚠️ ${p.reason}, no longer eligible`;
+          })
+          .join("\n");
+        const ineligible = picks.filter((p) => !p.eligible).length;
+
+        return interaction.editReply(
+          `📋 **Pending waiver request**\n` +
+            `📅 Cycle: **${cycleId}** (${next.event})\n` +
+            `🏷️ Team: **${team}**\n` +
+            faabBudgetLine(result) +
+            `\n` +
+            `${lines}\n\n` +
+            (result.alreadyRun
+              ? "_This cycle has already been awarded._"
+              : ineligible
+                ? `_${ineligible} pick(s) will be skipped. Use /waivers submit to replace your list._`
+                : "_Use /waivers submit to replace this list or /waivers cancel to withdraw it._")
+        );
+      }
+
+      // ---- /waivers cancel ----
+      if (sub === "cancel") {
+        let result;
+        try {
+          result = await postWaiverCancel({ cycleId, team, submittedBy }, {
+            label: `Waiver cancel for ${team} (cycle ${cycleId})`,
+            notifyUserId: submittedBy,
+            onRetry: (attempt, max) =>
+              interaction.editReply(`⏳ Apps Script is slow — retrying (${attempt}/${max})…`),
+          });
+        } catch (err) {
+          return interaction.editReply(`❌ ${String(err?.message || err)}`);
+        }
+
+        return interaction.editReply(
+          result.cancelledCount
+            ? `🗑️ **Waiver request cancelled** (${result.cancelledCount} pick(s))\n` +
+                `📅 Cycle: **${cycleId}** (${next.event})\n` +
+                `🏷️ Team: **${team}**`
+            : `📭 **${team}** had no pending waiver request for **${cycleId}**.`
+        );
+      }
+
+      // ---- /waivers submit ----
 
       const picks = [];
       for (let r = 1; r <= 10; r++) {
@@ -688,7 +3289,9 @@ client.on(Events.InteractionCreate, async (interaction) => {
           return interaction.editReply(`❌ Not found in PlayerPool: ${opt}`);
         }
 
-        picks.push({ rank: r, pdga, name: opt });
+        // Only FAAB seasons use bids; the backend rejects missing/over-budget bids there
+        const bid = interaction.options.getInteger(`bid${r}`, false);
+        picks.push({ rank: r, pdga, name: opt, ...(bid != null ? { bid } : {}) });
       }
 
       if (!picks.length) {
@@ -710,8 +3313,13 @@ client.on(Events.InteractionCreate, async (interaction) => {
         result = await postWaiverSubmit({
           cycleId,
           team,
-          submittedBy: String(interaction.user.id),
+          submittedBy,
           picks,
+        }, {
+          label: `Waiver request for ${team} (cycle ${cycleId})`,
+          notifyUserId: submittedBy,
+          onRetry: (attempt, max) =>
+            interaction.editReply(`⏳ Apps Script is slow — retrying (${attempt}/${max})…`),
         });
       } catch (err) {
         return interaction.editReply(`❌ ${String(err?.message || err)}`);
@@ -719,15 +3327,17 @@ client.on(Events.InteractionCreate, async (interaction) => {
 
       const returned = Array.isArray(result?.picks) ? result.picks : picks;
       const lines = returned
-        .map((p) => `${p.rank}) ${p.name} (${p.pdga})`)
+        .map((p) => `${p.rank}) ${p.name} (${p.pdga})${p.bid != null ? ` · $${p.bid}` : ""}`)
         .join("\n");
 
       return interaction.editReply(
         `✅ **Waiver request submitted**\n` +
           `📅 Cycle: **${cycleId}** (${next.event})\n` +
-          `🏷️ Team: **${team}**\n\n` +
+          `🏷️ Team: **${team}**\n` +
+          faabBudgetLine(result) +
+          `\n` +
           `${lines}\n\n` +
-          `_Resubmitting /waivers replaces your previous request for this cycle._`
+          `_Resubmitting /waivers submit replaces your previous request for this cycle._`
       );
     }
 
@@ -742,17 +3352,13 @@ client.on(Events.InteractionCreate, async (interaction) => {
         });
       }
 
-      const team = interaction.options.getString("team", true);
+      const team = await resolveCallerTeam(interaction);
       const addName = interaction.options.getString("add_player", false);
       const dropName = interaction.options.getString("drop_player", false);
       const notes = interaction.options.getString("notes", false) || "";
+      const lockOverride = interaction.options.getBoolean("override_lock", false) ?? false;
+      if (lockOverride && !(await requireCommissioner(interaction, "/transaction override_lock"))) return;
 
-      if (!TEAM_NAMES.has(team)) {
-        return interaction.reply({
-          content: `❌ Invalid team: ${team}`,
-          ephemeral: true,
-        });
-      }
       if (!addName && !dropName) {
         return interaction.reply({
           content: "❌ You must provide add_player and/or drop_player.",
@@ -760,77 +3366,31 @@ client.on(Events.InteractionCreate, async (interaction) => {
         });
       }
 
-      await interaction.deferReply({ ephemeral: false });
-
-      if (dropName && addName) {
-        const dropPdga = nameToPdga.get(dropName);
-        const addPdga = nameToPdga.get(addName);
-
-        if (!dropPdga)
-          throw new Error(`Could not resolve PDGA for drop_player: ${dropName}`);
-        if (!addPdga)
-          throw new Error(`Could not resolve PDGA for add_player: ${addName}`);
-
-        await postSwap({ team, dropPdga, dropName, addPdga, addName, notes });
-
-        const noteLine = notes ? `\n📝 Notes: ${notes}` : "";
-        const who = `\n👤 Submitted by: <@${interaction.user.id}>`;
-
-        return interaction.editReply(
-          `✅ **${team} SWAP Logged**\n` +
-            `⬇️ **DROP**: ${dropName} → **${FREE}**\n` +
-            `⬆️ **ADD**: ${addName} ← **${FREE}**` +
-            noteLine +
-            who
-        );
-      }
-
-      const receiptLines = [];
-
-      if (dropName) {
-        const pdga = nameToPdga.get(dropName);
-        if (!pdga)
-          throw new Error(`Could not resolve PDGA for drop_player: ${dropName}`);
-
-        await postTransactionRow({
-          type: "DROP",
-          team,
-          pdga,
-          name: dropName,
-          fromTeam: team,
-          toTeam: FREE,
-          notes,
-        });
-
-        receiptLines.push(`⬇️ **DROP**: ${dropName} → **${FREE}**`);
-      }
-
-      if (addName) {
-        const pdga = nameToPdga.get(addName);
-        if (!pdga)
-          throw new Error(`Could not resolve PDGA for add_player: ${addName}`);
+      const dropPdga = dropName ? nameToPdga.get(dropName) : null;
+      const addPdga = addName ? nameToPdga.get(addName) : null;
+      if (dropName && !dropPdga)
+        throw new Error(`Could not resolve PDGA for drop_player: ${dropName}`);
+      if (addName && !addPdga)
+        throw new Error(`Could not resolve PDGA for add_player: ${addName}`);
 
-        await postTransactionRow({
-          type: "ADD",
-          team,
-          pdga,
-          name: addName,
-          fromTeam: FREE,
-          toTeam: team,
-          notes,
-        });
+      await interaction.deferReply({ ephemeral: true });
 
-        receiptLines.push(`⬆️ **ADD**: ${addName} ← **${FREE}**`);
-      }
+      const tx = {
+        team,
+        notes,
+        submittedBy: String(interaction.user.id),
+        lockOverride,
+        drop: dropName ? { pdga: dropPdga, name: dropName } : null,
+        add: addName ? { pdga: addPdga, name: addName } : null,
+      };
 
-      const noteLine = notes ? `\n📝 Notes: ${notes}` : "";
-      const who = `\n👤 Submitted by: <@${interaction.user.id}>`;
+      const verdict = await validateTransaction(tx);
+      const token = verdict.ok
+        ? storePreview({ kind: "transaction", userId: interaction.user.id, tx })
+        : null;
 
       return interaction.editReply(
-        `✅ **${team} Transaction Logged**\n` +
-          receiptLines.join("\n") +
-          noteLine +
-          who
+        withPreviewButtons(renderTransactionPreview(tx, verdict), token)
       );
     }
 
@@ -845,61 +3405,64 @@ client.on(Events.InteractionCreate, async (interaction) => {
         });
       }
 
-      const teamA = interaction.options.getString("team_a", true);
-      const teamB = interaction.options.getString("team_b", true);
-      const playerA = interaction.options.getString("player_a", true);
-      const playerB = interaction.options.getString("player_b", true);
+      const teamA = await resolveCallerTeam(interaction, "team_a");
+      const rawTeamB = interaction.options.getString("team_b", true);
+      const teamB = resolveTeamName(rawTeamB);
       const notes = interaction.options.getString("notes", false) || "";
+      const lockOverride = interaction.options.getBoolean("override_lock", false) ?? false;
+      if (lockOverride && !(await requireCommissioner(interaction, "/trade override_lock"))) return;
 
-      if (!TEAM_NAMES.has(teamA) || !TEAM_NAMES.has(teamB)) {
+      if (!teamB) {
         return interaction.reply({
-          content: "❌ Invalid team code(s).",
+          content: `❌ Invalid team: ${rawTeamB}`,
           ephemeral: true,
         });
       }
       if (teamA === teamB) {
         return interaction.reply({
-          content: "❌ team_a and team_b must be different.",
+          content: "❌ team_b must be a different team than yours.",
           ephemeral: true,
         });
       }
 
-      const pdgaA = nameToPdga.get(playerA);
-      const pdgaB = nameToPdga.get(playerB);
-      if (!pdgaA) throw new Error(`Could not resolve PDGA for player_a: ${playerA}`);
-      if (!pdgaB) throw new Error(`Could not resolve PDGA for player_b: ${playerB}`);
+      const sentByA = tradeSidePlayers(interaction, "player_a");
+      const sentByB = tradeSidePlayers(interaction, "player_b");
 
-      await interaction.deferReply({ ephemeral: false });
+      const legs = [];
+      for (const name of sentByA) {
+        const pdga = nameToPdga.get(name);
+        if (!pdga) throw new Error(`Could not resolve PDGA for ${teamA} player: ${name}`);
+        legs.push({ pdga, name, fromTeam: teamA, toTeam: teamB });
+      }
+      for (const name of sentByB) {
+        const pdga = nameToPdga.get(name);
+        if (!pdga) throw new Error(`Could not resolve PDGA for ${teamB} player: ${name}`);
+        legs.push({ pdga, name, fromTeam: teamB, toTeam: teamA });
+      }
 
-      await postTransactionRow({
-        type: "TRADE",
-        team: teamA,
-        pdga: pdgaA,
-        name: playerA,
-        fromTeam: teamA,
-        toTeam: teamB,
-        notes,
-      });
+      const seen = new Set();
+      for (const l of legs) {
+        if (seen.has(l.pdga)) {
+          return interaction.reply({
+            content: `❌ Duplicate player selected: ${l.name} (${l.pdga})`,
+            ephemeral: true,
+          });
+        }
+        seen.add(l.pdga);
+      }
 
-      await postTransactionRow({
-        type: "TRADE",
-        team: teamB,
-        pdga: pdgaB,
-        name: playerB,
-        fromTeam: teamB,
-        toTeam: teamA,
-        notes,
-      });
+      await interaction.deferReply({ ephemeral: true });
+
+      const proposedBy = String(interaction.user.id);
+      const trade = { teamA, teamB, legs, notes, proposedBy, lockOverride };
 
-      const noteLine = notes ? `\n📝 Notes: ${notes}` : "";
-      const who = `\n👤 Submitted by: <@${interaction.user.id}>`;
+      const verdict = await runValidation(postTradeValidate({ legs, submittedBy: proposedBy, lockOverride }));
+      const token = verdict.ok
+        ? storePreview({ kind: "trade", userId: interaction.user.id, trade })
+        : null;
 
       return interaction.editReply(
-        `🤝 **Trade Logged**\n` +
-          `➡️ **${teamA}** sent: ${playerA}\n` +
-          `⬅️ **${teamB}** sent: ${playerB}` +
-          noteLine +
-          who
+        withPreviewButtons(renderTradePreview(trade, verdict), token)
       );
     }
   } catch (err) {
@@ -918,4 +3481,5 @@ client.on(Events.InteractionCreate, async (interaction) => {
   }
 });
 
+startHealthServer();
 client.login(process.env.DISCORD_TOKEN);
\ No newline at end of file